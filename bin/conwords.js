@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+/**Carpeta de los diccionarios incluidos en el paquete */
+const CARPETA_DICCIONARIOS = path.join(__dirname, '..', 'src', 'diccionarios');
+
+/**Formatos de salida: extensión del archivo y función que genera el contenido */
+const FORMATOS = {
+  texto: { extension: 'txt', generar: (generador, matriz) => generador.toString(matriz, true) + '\n' },
+  json: { extension: 'json', generar: (generador, matriz) => JSON.stringify(generador.getJSON(matriz), null, 2) + '\n' },
+  crucigrama: { extension: 'json', generar: (generador, matriz) => JSON.stringify(generador.getCrucigrama(matriz), null, 2) + '\n' },
+  puz: { extension: 'puz', generar: (generador, matriz, metadatos) => generador.toPuz(matriz, metadatos) },
+  ipuz: { extension: 'ipuz', generar: (generador, matriz, metadatos) => JSON.stringify(generador.toIpuz(matriz, metadatos), null, 2) + '\n' },
+  svg: { extension: 'svg', generar: (generador, matriz, metadatos, valores) => generador.toSvg(matriz, { solucion: !!valores.solucion }) + '\n' },
+  html: { extension: 'html', generar: (generador, matriz, metadatos) => generador.toHtml(matriz, metadatos) },
+};
+
+/**Opciones del generador que se pueden pasar por linea de comandos (las que no son la compilación ni funciones) */
+const OPCIONES_GENERADOR = Object.entries(ConwordsGenerator.options).filter(([key, value]) => key !== 'compilacion' && typeof value !== 'function');
+
+/**Opciones del generador que se pasan como texto (su valor por defecto es null) y que se describen en la ayuda junto a las demas opciones */
+const OPCIONES_TEXTO = ['mascara', 'historial', 'fechaHistorial'];
+
+const AYUDA = `Uso: conwords [generar] [opciones] <diccionario>...
+       conwords compilar -o <archivo> [-n <perfil>] <diccionario>...
+       conwords validar [-n <perfil>] [--json] [--sin-advertencias] <diccionario>...
+       conwords diccionarios
+
+Genera un crucigrama a partir de diccionarios. Cada diccionario puede ser la ruta de
+un archivo JSON o el nombre de un diccionario incluido (ver: conwords diccionarios).
+Con el comando compilar se guarda la compilación de los diccionarios en un archivo,
+que luego se usa con la opción --compilacion (en vez de indicar los diccionarios).
+El comando validar lista las entradas que el compilador descarta y por qué, y advierte
+respuestas con dígitos o repetidas (también entre los diccionarios indicados), preguntas
+vacías o que contienen la respuesta y problemas de codificación. Las letras permitidas en
+las respuestas dependen del perfil de normalización (-n, como al compilar).
+
+Opciones:
+  -c, --compilacion <archivo> Usa una compilación guardada con el comando compilar
+  -n, --normalizacion <perfil>
+                              Perfil de normalización de las letras al compilar: plegado
+                              (por defecto), estricto o un perfil personalizado en JSON
+  -s, --semilla <texto>       Semilla del crucigrama (aleatoria por defecto)
+  -i, --iteraciones <n>       Cantidad de iteraciones (60 por defecto, sin limite si se indica --tiempo)
+  -t, --tiempo <segundos>     Tiempo maximo de generación
+      --llenado <proporción>  Termina al llenar esta proporción del crucigrama [0, 1]
+      --estancamiento <n>     Termina si el puntaje no mejora en n iteraciones
+      --sin-completar         No aplica el metodo completar al final
+  -f, --formato <formatos>    ${Object.keys(FORMATOS).join(', ')} (texto por defecto).
+                              Se pueden indicar varios separados por coma
+  -o, --salida <archivo>      Archivo de salida (salida estandar por defecto). Con varios
+                              formatos es el nombre base y se agrega la extensión de cada uno
+      --solucion              En el formato svg dibuja las respuestas
+      --titulo <texto>        Titulo del crucigrama (formatos puz, ipuz y html)
+      --autor <texto>         Autor del crucigrama (formatos puz e ipuz)
+      --copyright <texto>     Copyright del crucigrama (formatos puz e ipuz)
+      --mascara <archivo|json> Forma de la grilla: archivo con una plantilla ASCII ('#' y
+                              espacios son celdas bloqueadas) o matriz JSON de booleanos
+      --denso                 Crucigrama denso (estilo americano): todas las celdas son parte
+                              de una palabra horizontal y de una vertical, con celdas negras
+                              simétricas y palabras de al menos 3 letras
+      --patron <archivo|json> Patrón de celdas negras del crucigrama denso, con el formato de
+                              --mascara (por defecto se crea uno del ancho y alto indicados)
+      --historial <archivo>   Historial JSON de los crucigramas publicados: no se repiten sus respuestas
+                              ni sus preguntas (ver --diasSinRepetirRespuesta y --diasSinRepetirPregunta)
+                              y al escribir las salidas se registra el crucigrama
+      --fechaHistorial <AAAA-MM-DD>
+                              Dia de publicación del crucigrama (hoy por defecto)
+      --sin-registrar         Con --historial no registra el crucigrama (ej: para un borrador)
+  -q, --silencioso            No muestra el progreso
+  -h, --ayuda                 Muestra esta ayuda
+
+Opciones del generador (por defecto las de ConwordsGenerator.options):
+${OPCIONES_GENERADOR.filter(([key]) => !OPCIONES_TEXTO.includes(key)).map(([key, value]) => `      --${key} <${typeof value === 'number' ? 'n' : typeof value === 'object' ? 'json' : typeof value === 'boolean' ? 'si|no' : 'texto'}>`.padEnd(38) + `(${JSON.stringify(value)} por defecto)`).join('\n')}
+`;
+
+/**Termina el proceso mostrando un error */
+function salirConError(mensaje) {
+  process.stderr.write(`conwords: ${mensaje}\n`);
+  process.exit(1);
+}
+
+/**Retorna los nombres de los diccionarios incluidos */
+function diccionariosIncluidos() {
+  return fs
+    .readdirSync(CARPETA_DICCIONARIOS)
+    .filter((archivo) => archivo.endsWith('.json'))
+    .map((archivo) => archivo.replace(/\.json$/, ''))
+    .sort();
+}
+
+/**Lee un diccionario desde una ruta o desde los diccionarios incluidos */
+function leerDiccionario(nombre) {
+  let archivo = nombre;
+  if (!fs.existsSync(archivo)) {
+    archivo = path.join(CARPETA_DICCIONARIOS, nombre.normalize('NFC').replace(/\.json$/, '') + '.json');
+    if (!fs.existsSync(archivo)) {
+      salirConError(`no existe el diccionario ${nombre} (ver: conwords diccionarios)`);
+    }
+  }
+  try {
+    return JSON.parse(fs.readFileSync(archivo, 'utf8'));
+  } catch (error) {
+    salirConError(`no se pudo leer el diccionario ${nombre}: ${error.message}`);
+  }
+}
+
+/**Nombre con el que se identifica un diccionario en las salidas (sin carpeta ni extensión) */
+function nombreDiccionario(nombre) {
+  return path.basename(nombre).replace(/\.json$/, '');
+}
+
+/**Convierte el valor de una opción del generador al tipo de su valor por defecto */
+function convertirOpcion(key, texto, defecto) {
+  if (typeof defecto === 'number') {
+    const numero = Number(texto);
+    if (Number.isNaN(numero)) {
+      salirConError(`la opción --${key} debe ser un número`);
+    }
+    return numero;
+  }
+  if (typeof defecto === 'boolean') {
+    return texto === 'true' || texto === '1' || texto === 'si';
+  }
+  if (typeof defecto === 'object') {
+    try {
+      return JSON.parse(texto);
+    } catch (error) {
+      salirConError(`la opción --${key} debe ser JSON: ${error.message}`);
+    }
+  }
+  return texto;
+}
+
+/**Convierte la opción --normalizacion en el perfil que recibe compilar (un nombre o un perfil personalizado en JSON) */
+function perfilNormalizacion(texto) {
+  if (texto === undefined || !texto.trim().startsWith('{')) {
+    return texto;
+  }
+  return convertirOpcion('normalizacion', texto, {});
+}
+
+/**Compila los diccionarios indicados con su nombre y el perfil de normalización */
+async function compilarDiccionarios(diccionarios, normalizacion) {
+  try {
+    return await ConwordsGenerator.compilar(diccionarios.map(leerDiccionario), undefined, diccionarios.map(nombreDiccionario), perfilNormalizacion(normalizacion));
+  } catch (error) {
+    salirConError(error.message);
+  }
+}
+
+/**Lee una compilación guardada con el comando compilar (si se pasan los diccionarios verifica que sea de ellos) */
+function leerCompilacion(archivo, diccionarios) {
+  if (!fs.existsSync(archivo)) {
+    salirConError(`no existe la compilación ${archivo}`);
+  }
+  try {
+    return ConwordsGenerator.cargarCompilacion(fs.readFileSync(archivo), diccionarios);
+  } catch (error) {
+    salirConError(`${archivo}: ${error.message}`);
+  }
+}
+
+/**Comando compilar: compila los diccionarios y guarda la compilación en un archivo */
+async function comandoCompilar(args) {
+  const { values: valores, positionals: diccionarios } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      salida: { type: 'string', short: 'o' },
+      normalizacion: { type: 'string', short: 'n' },
+      ayuda: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (valores.ayuda) {
+    process.stdout.write(AYUDA);
+    return;
+  }
+  if (diccionarios.length === 0 || valores.salida === undefined) {
+    salirConError('debe indicar los diccionarios y el archivo de salida (ver: conwords --ayuda)');
+  }
+  const compilacion = await compilarDiccionarios(diccionarios, valores.normalizacion);
+  fs.writeFileSync(valores.salida, ConwordsGenerator.guardarCompilacion(compilacion));
+  process.stderr.write(`Guardado: ${valores.salida} (${compilacion.palabras.length} palabras)\n`);
+}
+
+/**Comando validar: muestra las entradas rechazadas y las advertencias de cada diccionario, termina con error si hay rechazadas */
+async function comandoValidar(args) {
+  const { values: valores, positionals: nombres } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      normalizacion: { type: 'string', short: 'n' },
+      json: { type: 'boolean' },
+      'sin-advertencias': { type: 'boolean' },
+      ayuda: { type: 'boolean', short: 'h' },
+    },
+  });
+  if (valores.ayuda) {
+    process.stdout.write(AYUDA);
+    return;
+  }
+  if (nombres.length === 0) {
+    salirConError('debe indicar al menos un diccionario (ver: conwords --ayuda)');
+  }
+  const diccionarios = Object.fromEntries(nombres.map((nombre) => [nombre, leerDiccionario(nombre)]));
+  const informes = {};
+  for (let nombre of nombres) {
+    const otros = Object.fromEntries(Object.entries(diccionarios).filter(([otro]) => otro !== nombre));
+    try {
+      informes[nombre] = ConwordsGenerator.validarDiccionario(diccionarios[nombre], otros, perfilNormalizacion(valores.normalizacion));
+    } catch (error) {
+      salirConError(error.message);
+    }
+    if (valores['sin-advertencias']) {
+      delete informes[nombre].advertencias;
+    }
+  }
+
+  if (valores.json) {
+    process.stdout.write(JSON.stringify(informes, null, 2) + '\n');
+  } else {
+    for (let [nombre, informe] of Object.entries(informes)) {
+      const advertencias = informe.advertencias || [];
+      process.stdout.write(`${nombre}: ${informe.entradas} entradas, ${informe.validas} validas, ${informe.rechazadas.length} rechazadas, ${advertencias.length} advertencias\n`);
+      for (let [tipo, lista] of [
+        ['rechazada', informe.rechazadas],
+        ['advertencia', advertencias],
+      ]) {
+        for (let { entrada, respuesta, mensaje } of lista) {
+          process.stdout.write(`  ${tipo.padEnd(11)} #${entrada} ${JSON.stringify(respuesta)}: ${mensaje}\n`);
+        }
+      }
+    }
+  }
+  if (Object.values(informes).some((informe) => informe.rechazadas.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+/**Comando diccionarios: lista los diccionarios incluidos */
+async function comandoDiccionarios() {
+  process.stdout.write(diccionariosIncluidos().join('\n') + '\n');
+}
+
+/**Comando generar: genera el crucigrama y lo escribe en los formatos pedidos */
+async function comandoGenerar(args) {
+  const opcionesGenerador = Object.fromEntries(OPCIONES_GENERADOR.map(([key]) => [key, { type: 'string' }]));
+  const { values: valores, positionals: diccionarios } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...opcionesGenerador,
+      compilacion: { type: 'string', short: 'c' },
+      normalizacion: { type: 'string', short: 'n' },
+      semilla: { type: 'string', short: 's' },
+      iteraciones: { type: 'string', short: 'i' },
+      tiempo: { type: 'string', short: 't' },
+      llenado: { type: 'string' },
+      estancamiento: { type: 'string' },
+      'sin-completar': { type: 'boolean' },
+      formato: { type: 'string', short: 'f', default: 'texto' },
+      salida: { type: 'string', short: 'o' },
+      solucion: { type: 'boolean' },
+      titulo: { type: 'string' },
+      autor: { type: 'string' },
+      copyright: { type: 'string' },
+      denso: { type: 'boolean' },
+      patron: { type: 'string' },
+      'sin-registrar': { type: 'boolean' },
+      silencioso: { type: 'boolean', short: 'q' },
+      ayuda: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (valores.ayuda) {
+    process.stdout.write(AYUDA);
+    return;
+  }
+  if (diccionarios.length === 0 && valores.compilacion === undefined) {
+    salirConError('debe indicar al menos un diccionario o una compilación (ver: conwords --ayuda)');
+  }
+  const formatos = valores.formato.split(',').map((formato) => formato.trim());
+  for (let formato of formatos) {
+    if (!FORMATOS[formato]) {
+      salirConError(`formato no soportado: ${formato} (formatos: ${Object.keys(FORMATOS).join(', ')})`);
+    }
+  }
+
+  const opciones = {};
+  for (let [key, defecto] of OPCIONES_GENERADOR) {
+    if (key === 'mascara' && valores.mascara !== undefined && fs.existsSync(valores.mascara)) {
+      //La máscara tambien puede ser un archivo con la plantilla ASCII
+      opciones.mascara = fs.readFileSync(valores.mascara, 'utf8');
+    } else if ((key === 'historial' || key === 'fechaHistorial') && valores[key] !== undefined) {
+      opciones[key] = valores[key];
+    } else if (valores[key] !== undefined) {
+      opciones[key] = convertirOpcion(key, valores[key], defecto);
+    }
+  }
+  const tiempo = valores.tiempo !== undefined ? convertirOpcion('tiempo', valores.tiempo, 0) * 1000 : Infinity;
+  const iteraciones = valores.iteraciones !== undefined ? convertirOpcion('iteraciones', valores.iteraciones, 0) : tiempo === Infinity ? 60 : Infinity;
+  const llenado = valores.llenado !== undefined ? convertirOpcion('llenado', valores.llenado, 0) : undefined;
+  const estancamiento = valores.estancamiento !== undefined ? convertirOpcion('estancamiento', valores.estancamiento, 0) : undefined;
+
+  const progreso = (texto) => {
+    if (!valores.silencioso) {
+      process.stderr.write(process.stderr.isTTY ? `\r${texto}\x1b[K` : `${texto}\n`);
+    }
+  };
+
+  let compilacion;
+  if (valores.compilacion !== undefined) {
+    progreso('Cargando compilación...');
+    compilacion = leerCompilacion(valores.compilacion, diccionarios.length > 0 ? diccionarios.map(leerDiccionario) : undefined);
+  } else {
+    progreso('Compilando diccionarios...');
+    compilacion = await compilarDiccionarios(diccionarios, valores.normalizacion);
+  }
+  const generador = new ConwordsGenerator({ ...opciones, compilacion });
+
+  let matriz;
+  if (valores.denso) {
+    progreso('Llenando crucigrama denso...');
+    let patron = null;
+    if (valores.patron !== undefined) {
+      patron = fs.existsSync(valores.patron) ? fs.readFileSync(valores.patron, 'utf8') : convertirOpcion('patron', valores.patron, []);
+    }
+    matriz = generador.generarDenso({ semilla: valores.semilla, patron });
+  } else {
+    //Con Ctrl+C se detiene la generación y se escribe la mejor solución encontrada
+    const cancelacion = new AbortController();
+    process.once('SIGINT', () => cancelacion.abort());
+    matriz = await generador.evolucionar({
+      semilla: valores.semilla,
+      maxIteraciones: iteraciones,
+      tiempoMaximoMs: tiempo,
+      llenadoObjetivo: llenado,
+      estancamiento,
+      signal: cancelacion.signal,
+      completar: false,
+      onProgreso: (paso) => progreso(`Iteración:${paso.iteracion} Cruces:${paso.cruces} Solas:${paso.solas} Llenado:${Math.round(100 * paso.porcentajeLlenado)}%`),
+    });
+    if (!valores['sin-completar']) {
+      progreso('Completando...');
+      matriz = generador.completar(matriz);
+    }
+  }
+  if (!valores.silencioso && process.stderr.isTTY) {
+    process.stderr.write('\n');
+  }
+
+  const metadatos = {};
+  for (let key of ['titulo', 'autor', 'copyright']) {
+    if (valores[key] !== undefined) {
+      metadatos[key] = valores[key];
+    }
+  }
+  for (let formato of formatos) {
+    const contenido = FORMATOS[formato].generar(generador, matriz, metadatos, valores);
+    if (valores.salida === undefined) {
+      process.stdout.write(contenido);
+    } else {
+      const archivo = formatos.length > 1 ? `${valores.salida}.${FORMATOS[formato].extension}` : valores.salida;
+      fs.writeFileSync(archivo, contenido);
+      if (!valores.silencioso) {
+        process.stderr.write(`Guardado: ${archivo}\n`);
+      }
+    }
+  }
+  //El crucigrama se registra en el historial despues de escribir las salidas, asi los proximos no repiten sus respuestas ni sus preguntas
+  if (opciones.historial !== undefined && !valores['sin-registrar']) {
+    const registros = generador.publicar(matriz);
+    if (!valores.silencioso) {
+      process.stderr.write(registros > 0 ? `Historial: ${registros} palabras registradas en ${opciones.historial}\n` : `Historial: el crucigrama ya estaba registrado en ${opciones.historial}\n`);
+    }
+  }
+}
+
+/**Comandos disponibles */
+const COMANDOS = {
+  generar: comandoGenerar,
+  compilar: comandoCompilar,
+  validar: comandoValidar,
+  diccionarios: comandoDiccionarios,
+};
+
+const [comando, ...args] = process.argv.slice(2);
+const ejecutar = COMANDOS[comando] ? COMANDOS[comando](args) : comandoGenerar(process.argv.slice(2));
+ejecutar.catch((error) => salirConError(error.message));
@@ -1,5 +1,19 @@
-const seed = require('math-random-seed');
 const clone = require('rfdc/default');
+const { escribirPuz, leerPuz } = require('./formatos/puz.js');
+const { escribirIpuz, leerIpuz } = require('./formatos/ipuz.js');
+const { dibujarGrilla, dibujarPreguntas } = require('./formatos/svg.js');
+const { paginaHtml } = require('./formatos/html.js');
+const { evolucionEnIslas } = require('./islas.js');
+const { validarDiccionario } = require('./validacion.js');
+const { leerEntrada, prefijoCategoria, cumpleFiltro } = require('./metadatos.js');
+const { resolverPerfil, normalizador } = require('./normalizacion.js');
+const { leerMascara } = require('./mascara.js');
+const { Grilla } = require('./grilla.js');
+const { generadorAleatorio } = require('./aleatorio.js');
+const { calcularMetricas } = require('./metricas.js');
+const { validarGrilla } = require('./validacionGrilla.js');
+const { crearAlmacen, consultarHistorial, clavePregunta, diaDe } = require('./historial.js');
+const { LARGO_MINIMO, ranurasPatron, problemasPatron, crearPatron, llenarPatron } = require('./denso.js');
 
 /**Clase Generadora de crucigramas mediante algoritmos genéticos */
 class ConwordsGenerator {
@@ -17,23 +31,53 @@ class ConwordsGenerator {
     palabrasEnBorde: 0.9,
     factorLargoMinimo: 1,
     finishAt: 600,
-    fnPuntaje: (llenado, cruces, solas) => {
-      return (llenado * 4 + 2 * cruces) / (1 + solas * 4);
+    islas: 1,
+    migracionCada: 5,
+    migrantes: 2,
+    filtro: null,
+    cuotas: null,
+    frasesComoRespuestas: false,
+    mascara: null,
+    requeridas: null,
+    tasaCruce: 0,
+    tasaQuitar: 0,
+    tasaMover: 0,
+    soloConectadas: false,
+    validacionEstricta: false,
+    historial: null,
+    fechaHistorial: null,
+    diasSinRepetirRespuesta: 30,
+    diasSinRepetirPregunta: 30,
+    fnPuntaje: (llenado, cruces, solas, cuotas = 1) => {
+      return ((llenado * 4 + 2 * cruces) / (1 + solas * 4)) * (0.5 + cuotas / 2);
     },
   };
 
+  /**Versión del compilador de diccionarios. Cambia cada vez que cambia la estructura de la compilación,
+   * las compilaciones guardadas con otra versión no se pueden cargar (se deben volver a compilar).
+   * @type {Number}
+   */
+  static VERSION_COMPILACION = 7;
+
   /**Este procedimiento agrupa las palabras por largo e indexa todas las palabras que tienen igual letra en cierta posicion, esto se hace para hacer mas rapido la generación de crucigramas.
+   * Los indices por letra son Set, para saber en tiempo constante si una palabra tiene cierta letra en cierta posición (ver src/benchmark.js).
    * @param {Array} diccionarios - Array de diccionarios a compilar, donde cada diccionario es un array con la siguiente estructura:
    * [
    *  [ 'palabra','descripcion','descripcion',... ]
    *  [ 'palabra','descripcion','descripcion',... ]
    * ...
    * ]
+   * Las entradas tambien pueden ser objetos con metadatos por entrada y por pregunta, que se guardan en compilacion.metadatos:
+   * { respuesta: 'palabra', preguntas: ['descripcion', { texto: 'descripcion', dificultad: 2 }], categoria, dificultad, idioma, etiquetas, fuente, notas }
    * En la carpeta diccionarios se encuentran algunos ejemplos de diccionarios.
    * @param {Function} fnProgress - Funcion que se llama cada vez que se termina de procesar un porcentaje de las palabras, recibe como parametro el porcentaje procesado (0-100)
+   * @param {Array} nombres - Nombres de los diccionarios, en el mismo orden (opcional). Cada pregunta guarda de que diccionario viene y en las salidas se indica con este nombre
+   * @param {String|Object} normalizacion - Perfil de normalización de las letras (ver src/normalizacion.js): 'plegado' (por defecto, los acentos no importan y la Ñ se mantiene),
+   * 'estricto' (los acentos importan) o un perfil personalizado, ej: {conservar: 'ÑÜ'} o {base: 'estricto', alfabeto: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ'}.
+   * Se guarda en la compilación y el generador lo usa al cruzar las palabras y al escribirlas en la grilla
    * @returns {Promise} - retorna una promesa que resuelve con la compilación.
    */
-  static async compilar(diccionarios, fnProgress) {
+  static async compilar(diccionarios, fnProgress, nombres = [], normalizacion) {
     /**Funcion usada para esperar (Se usa en la web para no bloquear el hilo)
      * @param {Number} delay - Tiempo en milisegundos a esperar
      */
@@ -43,108 +87,366 @@ class ConwordsGenerator {
       });
     };
 
-    //Agrupa todas las palabras y descripciones en un solo array
-    const data = diccionarios.flatMap((d) => d);
-
-    let palabras = [];
-    let frases = [];
-    let mapaGrupos = new Map();
+    const compilacion = {
+      version: ConwordsGenerator.VERSION_COMPILACION,
+      diccionarios: diccionarios.map((diccionario, i) => ({ ...ConwordsGenerator.#describirDiccionario(diccionario), nombre: nombres[i] })),
+      normalizacion: resolverPerfil(normalizacion),
+      palabras: [],
+      letras: {},
+      largos: [],
+      frases: [],
+      preguntas: [],
+      usos: [],
+      metadatos: [{}],
+      espaciadas: {},
+    };
+    const indices = ConwordsGenerator.#getIndices(compilacion);
+    const total = diccionarios.reduce((total, diccionario) => total + diccionario.length, 0);
+    let procesadas = 0;
     let p0 = 0;
-    //Recorre todas las palabras y las agrupa por largo
-    for (let linea of data) {
-      let percent = Math.round((data.indexOf(linea) / data.length) * 100);
-      if (p0 !== percent) {
-        p0 = percent;
-        if (fnProgress) {
-          fnProgress(percent);
-          await delay(100);
+    for (let [i, diccionario] of diccionarios.entries()) {
+      const { huella } = compilacion.diccionarios[i];
+      for (let linea of diccionario) {
+        let percent = Math.round((procesadas++ / total) * 100);
+        if (p0 !== percent) {
+          p0 = percent;
+          if (fnProgress) {
+            fnProgress(percent);
+            await delay(100);
+          }
         }
+        ConwordsGenerator.#aportarLinea(compilacion, indices, linea, huella, 1);
       }
+    }
+    return compilacion;
+  }
 
-      let set1 = [];
-      let set2 = [];
+  /**Agrega un diccionario a una compilación, sin volver a compilar los demas.<br>
+   * La compilación se modifica (los generadores que la usan ven el cambio en la siguiente iteración). Las palabras nuevas se agregan al final,
+   * por lo que los indices de las palabras que ya estaban (usados en ignored y en preguntasData de las matrices) no cambian.
+   * @param {Object} compilacion - Compilación retornada por compilar o cargarCompilacion
+   * @param {Array} diccionario - Diccionario a agregar, con la misma estructura que en compilar
+   * @param {String} nombre - Nombre del diccionario, se usa en las salidas y en los mensajes de error (opcional)
+   * @returns {Object} - La misma compilación
+   */
+  static agregarDiccionario(compilacion, diccionario, nombre) {
+    const indices = ConwordsGenerator.#getIndices(compilacion);
+    const descripcion = { ...ConwordsGenerator.#describirDiccionario(diccionario), nombre };
+    for (let linea of diccionario) {
+      ConwordsGenerator.#aportarLinea(compilacion, indices, linea, descripcion.huella, 1);
+    }
+    compilacion.diccionarios.push(descripcion);
+    return compilacion;
+  }
 
-      let idxMap = new Map();
+  /**Quita de una compilación el aporte de un diccionario, sin volver a compilar los demas.<br>
+   * Las palabras que solo estaban en ese diccionario dejan de usarse al generar, pero se mantienen en palabras para que los indices no cambien.
+   * @param {Object} compilacion - Compilación retornada por compilar o cargarCompilacion
+   * @param {Array} diccionario - Diccionario a quitar, debe ser igual al que se compiló
+   * @returns {Object} - La misma compilación
+   */
+  static quitarDiccionario(compilacion, diccionario) {
+    const { huella } = ConwordsGenerator.#describirDiccionario(diccionario);
+    const posicion = compilacion.diccionarios.findIndex((descripcion) => descripcion.huella === huella);
+    if (posicion === -1) {
+      throw new Error('La compilación no contiene el diccionario (debe ser igual al que se compiló)');
+    }
+    const indices = ConwordsGenerator.#getIndices(compilacion);
+    const sinUso = new Set();
+    for (let linea of diccionario) {
+      ConwordsGenerator.#aportarLinea(compilacion, indices, linea, huella, -1, sinUso);
+    }
+    ConwordsGenerator.#desindexarPalabras(compilacion, sinUso);
+    compilacion.diccionarios.splice(posicion, 1);
+    return compilacion;
+  }
 
-      linea.forEach((item) => {
-        //Descarta palabras de solo 1 letra
-        if (item.length > 1) {
-          if (item.match(/\s+/) === null) {
-            //Los textos sin espacios van a set1
-            set1.push(item);
-            let idx = palabras.indexOf(item);
-            if (idx === -1) {
-              palabras.push(item);
-              idx = palabras.length - 1;
-            }
-            idxMap.set(item, idx);
-          } else {
-            //Los textos con espacios van a set2
-            set2.push(item);
-            let idx = frases.indexOf(item);
-            if (idx === -1) {
-              frases.push(item);
-              idx = frases.length - 1;
+  /**Valida un diccionario: informa las entradas que el compilador descarta y por qué (respuestas de una letra, con espacios,
+   * minúsculas o caracteres no permitidos, entradas sin preguntas), y advierte las respuestas con dígitos o repetidas,
+   * las preguntas vacías o que contienen la respuesta y los problemas de codificación.
+   * @param {Array} diccionario - Diccionario con la misma estructura que en compilar
+   * @param {Object} otros - Otros diccionarios donde buscar respuestas repetidas, {nombre: diccionario} (opcional)
+   * @param {String|Object} normalizacion - Perfil de normalización con que se compilará, como en compilar (plegado por defecto): las letras permitidas en las respuestas dependen del perfil
+   * @returns {Object} - {entradas, validas, rechazadas, advertencias}, rechazadas y advertencias son arrays de {entrada, respuesta, motivo, mensaje}
+   */
+  static validarDiccionario(diccionario, otros, normalizacion) {
+    return validarDiccionario(diccionario, otros, normalizacion);
+  }
+
+  /**Indices de las palabras y frases de cada compilación, para no buscarlas en los arrays (con diccionarios grandes es muy lento) */
+  static #indices = new WeakMap();
+
+  /**Retorna los indices {palabras, frases} (Map de texto a idx) de una compilación, creandolos si no existen */
+  static #getIndices(compilacion) {
+    let indices = ConwordsGenerator.#indices.get(compilacion);
+    if (indices === undefined) {
+      //Las respuestas con espacios se indexan por su texto con espacios, para no confundirlas con una palabra igual sin espacios
+      const palabras = new Map();
+      compilacion.palabras.forEach((palabra, idx) => compilacion.espaciadas[idx] === undefined && palabras.set(palabra, idx));
+      Object.entries(compilacion.espaciadas).forEach(([idx, texto]) => palabras.set(texto, Number(idx)));
+      indices = {
+        palabras,
+        frases: new Map(compilacion.frases.map((frase, idx) => [frase, idx])),
+        metadatos: new Map(compilacion.metadatos.map((metadatos, idx) => [JSON.stringify(metadatos), idx])),
+        metadatosArray: new Map(),
+      };
+      ConwordsGenerator.#indices.set(compilacion, indices);
+    }
+    return indices;
+  }
+
+  /**Agrega (signo 1) o quita (signo -1) el aporte de una entrada de un diccionario a la compilación.
+   * Los metadatos de cada pregunta incluyen la huella del diccionario, asi se sabe de donde viene y al quitar un diccionario se quita solo lo que aportó.
+   * En usos se cuenta en cuantas lineas aparece cada palabra: al aparecer por primera vez se indexa por largo y letras,
+   * y al quitarla de todas se agrega a sinUso para desindexarla.
+   */
+  static #aportarLinea(compilacion, indices, entrada, huella, signo, sinUso) {
+    //Las entradas en formato array (la mayoria) no tienen metadatos propios, se leen sin crear objetos por cada texto
+    const esArray = Array.isArray(entrada);
+    const { linea, metadatos } = esArray ? { linea: entrada } : leerEntrada(entrada, huella);
+    let set1 = [];
+    let set2 = [];
+
+    let idxMap = new Map();
+    let metaMap = new Map();
+
+    /**Retorna el indice de una palabra (o de una respuesta con espacios, que se guarda sin espacios), agregandola si no existe */
+    const idxPalabra = (item, palabra) => {
+      let idx = indices.palabras.get(item);
+      if (idx === undefined) {
+        if (signo < 0) {
+          throw new Error(`La compilación no contiene "${item}" (el diccionario debe ser igual al que se compiló)`);
+        }
+        idx = compilacion.palabras.push(palabra) - 1;
+        compilacion.preguntas.push(undefined);
+        compilacion.usos.push(0);
+        indices.palabras.set(item, idx);
+      }
+      compilacion.usos[idx] += signo;
+      if (signo > 0 && compilacion.usos[idx] === 1) {
+        ConwordsGenerator.#indexarPalabra(compilacion, idx);
+      } else if (signo < 0 && compilacion.usos[idx] === 0) {
+        sinUso.add(idx);
+      }
+      return idx;
+    };
+
+    linea.forEach((item, i) => {
+      //Descarta palabras de solo 1 letra
+      if (typeof item === 'string' && item.length > 1) {
+        //Los textos sin espacios van a set1 y los textos con espacios van a set2
+        const esPalabra = item.match(/\s+/) === null;
+        let idx;
+        if (esPalabra) {
+          idx = idxPalabra(item, item);
+          set1.push(item);
+        } else {
+          idx = indices.frases.get(item);
+          if (idx === undefined) {
+            if (signo < 0) {
+              throw new Error(`La compilación no contiene "${item}" (el diccionario debe ser igual al que se compiló)`);
             }
-            idxMap.set(item, idx);
+            idx = compilacion.frases.push(item) - 1;
+            indices.frases.set(item, idx);
           }
+          set2.push(item);
         }
-      });
+        idxMap.set(item, idx);
+        metaMap.set(item, esArray ? ConwordsGenerator.#idxMetadatosArray(compilacion, indices, huella, item) : ConwordsGenerator.#idxMetadatos(compilacion, indices, metadatos[i]));
+      }
+    });
 
-      if (set1.length > 0 && set1.length + set2.length > 1) {
-        set1.forEach((item) => {
-          let itemIdx = idxMap.get(item);
-          let grupoItem = mapaGrupos.get(itemIdx);
-          grupoItem = grupoItem ? grupoItem : [[], []];
-          set1.forEach((item2) => {
-            if (item !== item2) {
-              grupoItem[0].push(idxMap.get(item2));
-            }
-          });
-          set2.forEach((item2) => {
-            grupoItem[1].push(idxMap.get(item2));
-          });
-          mapaGrupos.set(itemIdx, grupoItem);
-        });
+    /**El grupo de una palabra es [palabras, frases] y si alguna pregunta tiene metadatos [palabras, frases, metadatosPalabras, metadatosFrases] */
+    const agregar = (grupo, k, idx, meta) => {
+      if (meta !== 0 && grupo.length === 2) {
+        grupo.push(
+          grupo[0].map(() => 0),
+          grupo[1].map(() => 0)
+        );
+      }
+      grupo[k].push(idx);
+      if (grupo.length === 4) {
+        grupo[k + 2].push(meta);
+      }
+    };
+    const quitar = (grupo, k, idx, meta) => {
+      const pos = grupo[k].findIndex((i, j) => i === idx && (grupo.length === 4 ? grupo[k + 2][j] : 0) === meta);
+      grupo[k].splice(pos, 1);
+      if (grupo.length === 4) {
+        grupo[k + 2].splice(pos, 1);
+      }
+    };
+    /**Agrega o quita las preguntas (palabras y frases de la linea, salvo el mismo texto) al grupo de la palabra itemIdx */
+    const aportarGrupo = (itemIdx, item) => {
+      let grupoItem = compilacion.preguntas[itemIdx];
+      if (signo > 0) {
+        grupoItem = grupoItem ? grupoItem : [[], []];
+        compilacion.preguntas[itemIdx] = grupoItem;
+      }
+      const aportar = signo > 0 ? agregar : quitar;
+      set1.forEach((item2) => {
+        if (item !== item2) {
+          aportar(grupoItem, 0, idxMap.get(item2), metaMap.get(item2));
+        }
+      });
+      set2.forEach((item2) => {
+        if (item !== item2) {
+          aportar(grupoItem, 1, idxMap.get(item2), metaMap.get(item2));
+        }
+      });
+      if (signo < 0 && grupoItem[0].length === 0 && grupoItem[1].length === 0) {
+        compilacion.preguntas[itemIdx] = undefined;
       }
+    };
+
+    if (set1.length > 0 && set1.length + set2.length > 1) {
+      set1.forEach((item) => aportarGrupo(idxMap.get(item), item));
     }
-    const letras = {};
-    const largos = [];
-    const preguntas = [];
-    preguntas.length = palabras.length;
-    for (let idx = 0; idx < preguntas.length; idx++) {
-      preguntas[idx] = mapaGrupos.get(idx);
+
+    //Una respuesta con espacios ademas se agrega sin espacios a las palabras, para poder ubicarla en el crucigrama (ver la opción frasesComoRespuestas).
+    //En espaciadas se guarda su texto con espacios, que se muestra en las salidas
+    const respuesta = linea[0];
+    if (set2.includes(respuesta) && set1.length + set2.length > 1) {
+      const idx = idxPalabra(respuesta, respuesta.replace(/\s+/g, ''));
+      compilacion.espaciadas[idx] = respuesta.trim().split(/\s+/).join(' ');
+      aportarGrupo(idx, respuesta);
     }
+  }
 
-    let maxLargo = 0;
-    palabras.forEach((palabra, idx) => {
-      let match = palabra.match(/[A-Z0-9ÁÉÍÓÚÜÑ]+/);
-      if (match !== null && match[0] === palabra && palabra.length > 1) {
-        if (palabra.length > maxLargo) {
-          maxLargo = palabra.length;
-        }
-        let largo = palabra.length;
-        if (largos[largo] === undefined) {
-          for (let i = 0; i <= largo; i++) {
-            if (largos[i] === undefined) {
-              largos[i] = [];
-            }
-          }
+  /**Retorna el indice de los metadatos de un texto de una entrada en formato array: solo tienen el diccionario y el prefijo de categoria del texto */
+  static #idxMetadatosArray(compilacion, indices, huella, texto) {
+    const categoria = prefijoCategoria(texto);
+    const clave = huella + '\n' + (categoria !== undefined ? categoria : '');
+    let idx = indices.metadatosArray.get(clave);
+    if (idx === undefined) {
+      idx = ConwordsGenerator.#idxMetadatos(compilacion, indices, categoria !== undefined ? { categoria, diccionario: huella } : { diccionario: huella });
+      indices.metadatosArray.set(clave, idx);
+    }
+    return idx;
+  }
+
+  /**Retorna el indice de unos metadatos en la compilación, agregandolos si no estan (el indice 0 son las preguntas sin metadatos) */
+  static #idxMetadatos(compilacion, indices, metadatos) {
+    const clave = JSON.stringify(metadatos);
+    let idx = indices.metadatos.get(clave);
+    if (idx === undefined) {
+      idx = compilacion.metadatos.push(metadatos) - 1;
+      indices.metadatos.set(clave, idx);
+    }
+    return idx;
+  }
+
+  /**Agrega una palabra a los indices por largo y por letra (solo las palabras con letras validas se pueden ubicar en el crucigrama)
+   * letras: Set de los indices de las palabras que tienen cierta letra normalizada en cierta posición (ej: letras['0A'] son las palabras que empiezan con A, y con Á si el perfil pliega los acentos)
+   */
+  static #indexarPalabra(compilacion, idx) {
+    const { letras, largos } = compilacion;
+    const normalizar = normalizador(compilacion.normalizacion);
+    const palabra = normalizar.palabra(compilacion.palabras[idx]);
+    if (normalizar.valida(compilacion.palabras[idx])) {
+      let largo = palabra.length;
+      for (let i = largos.length; i <= largo; i++) {
+        largos[i] = [];
+      }
+      largos[largo].push(idx);
+      for (let i = 0; i < palabra.length; i++) {
+        let letra = '' + i + palabra[i];
+        if (letras[letra] === undefined) {
+          letras[letra] = new Set();
         }
-        largos[largo].push(idx);
-        for (let i = 0; i < palabra.length; i++) {
-          let letra = '' + i + palabra[i];
-          if (letras[letra] === undefined) {
-            letras[letra] = [];
-          }
-          letras[letra].push(idx);
+        letras[letra].add(idx);
+      }
+    }
+  }
+
+  /**Quita palabras de los indices por largo y por letra */
+  static #desindexarPalabras(compilacion, idxs) {
+    const { letras, largos } = compilacion;
+    const normalizar = normalizador(compilacion.normalizacion);
+    const largosCambiados = new Set();
+    for (let idx of idxs) {
+      const palabra = normalizar.palabra(compilacion.palabras[idx]);
+      for (let i = 0; i < palabra.length; i++) {
+        let letra = '' + i + palabra[i];
+        if (letras[letra] !== undefined && letras[letra].delete(idx) && letras[letra].size === 0) {
+          delete letras[letra];
         }
-        6;
       }
-    });
-    //largos.length = maxLargo + 1;
-    //largos.splice(0, 1);
-    return { palabras, letras, largos, frases, preguntas };
+      largosCambiados.add(palabra.length);
+    }
+    for (let largo of largosCambiados) {
+      if (largos[largo] !== undefined) {
+        largos[largo] = largos[largo].filter((idx) => !idxs.has(idx));
+      }
+    }
+    //Quita los largos vacios del final, como si se hubiera compilado sin esas palabras
+    while (largos.length > 0 && largos[largos.length - 1].length === 0) {
+      largos.pop();
+    }
+  }
+
+  /**Serializa una compilación en un archivo comprimido, para cargarla rapidamente con cargarCompilacion (solo en node).<br>
+   * El archivo guarda la versión del compilador y los diccionarios usados (su huella y, opcionalmente, sus nombres).
+   * @param {Object} compilacion - Compilación retornada por compilar
+   * @param {Array} nombres - Nombres de los diccionarios compilados, en el mismo orden que se pasaron a compilar (opcional)
+   * @returns {Buffer} - Contenido del archivo
+   */
+  static guardarCompilacion(compilacion, nombres = []) {
+    const zlib = require('zlib');
+    if (compilacion.version !== ConwordsGenerator.VERSION_COMPILACION) {
+      throw new Error(`La compilación es de la versión ${compilacion.version} del compilador y la actual es la ${ConwordsGenerator.VERSION_COMPILACION}, debe volver a compilar los diccionarios`);
+    }
+    const diccionarios = compilacion.diccionarios.map((diccionario, i) => ({ ...diccionario, nombre: nombres[i] !== undefined ? nombres[i] : diccionario.nombre }));
+    //Los Set de letras se guardan como arrays
+    const letras = Object.fromEntries(Object.entries(compilacion.letras).map(([letra, idxs]) => [letra, [...idxs]]));
+    return zlib.gzipSync(JSON.stringify({ formato: 'conwords-compilacion', ...compilacion, diccionarios, letras }));
+  }
+
+  /**Carga una compilación guardada con guardarCompilacion (solo en node)
+   * @param {Buffer} contenido - Contenido del archivo
+   * @param {Array} diccionarios - Si se pasan los diccionarios, se verifica que la compilación se haya generado con ellos (opcional)
+   * @returns {Object} - La compilación, igual a la retornada por compilar
+   */
+  static cargarCompilacion(contenido, diccionarios) {
+    const zlib = require('zlib');
+    let compilacion;
+    try {
+      compilacion = JSON.parse(zlib.gunzipSync(contenido).toString('utf8'));
+    } catch (error) {
+      throw new Error('El archivo no es una compilación de diccionarios');
+    }
+    if (compilacion.formato !== 'conwords-compilacion') {
+      throw new Error('El archivo no es una compilación de diccionarios');
+    }
+    if (compilacion.version !== ConwordsGenerator.VERSION_COMPILACION) {
+      throw new Error(`La compilación fue generada con la versión ${compilacion.version} del compilador y la actual es la ${ConwordsGenerator.VERSION_COMPILACION}, debe volver a compilar los diccionarios`);
+    }
+    if (diccionarios !== undefined) {
+      const huellas = diccionarios.map((diccionario) => ConwordsGenerator.#describirDiccionario(diccionario).huella);
+      const distintos = huellas.length !== compilacion.diccionarios.length || huellas.some((huella, i) => huella !== compilacion.diccionarios[i].huella);
+      if (distintos) {
+        const nombres = compilacion.diccionarios.map((diccionario, i) => diccionario.nombre || `#${i + 1}`).join(', ');
+        throw new Error(`La compilación fue generada con otros diccionarios (${nombres}), debe volver a compilar los diccionarios`);
+      }
+    }
+    delete compilacion.formato;
+    //JSON guarda como null las palabras sin preguntas
+    compilacion.preguntas = compilacion.preguntas.map((grupo) => (grupo === null ? undefined : grupo));
+    for (let letra in compilacion.letras) {
+      compilacion.letras[letra] = new Set(compilacion.letras[letra]);
+    }
+    return compilacion;
+  }
+
+  /**Describe un diccionario con su cantidad de entradas y una huella de su contenido (hash FNV-1a), para saber con que diccionarios se generó una compilación */
+  static #describirDiccionario(diccionario) {
+    const texto = JSON.stringify(diccionario);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < texto.length; i++) {
+      hash ^= texto.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return { entradas: diccionario.length, huella: (hash >>> 0).toString(16).padStart(8, '0') };
   }
 
   /**Instancia un nuevo generador de crucigramas indicando las opciones de configuración
@@ -161,7 +463,37 @@ class ConwordsGenerator {
    * @param {Number} options.palabrasEnBorde - Cantidad de palabras en los bordes [0, 1] (0.9 por defecto)
    * @param {Number} options.factorLargoMinimo - Factor de disminución del largo minimo en las iteraciones: mientras sea mayor mas rapidamente el largo minimo de las palabras ira disminuyendo entre cada iteración (1 por defecto)
    * @param {Number} options.finishAt - Cantidad maximo de intentos para encontrar una solucion, despues de alcanzado estos intentos esa solución se marca como finalizado y no se intentaran mas soluciones (600 por defecto)
-   * @param {Function} options.fnPuntaje - Es una función que asigna un puntaje al crucigrama y que depende del porcentaje de llenado, la cantidad de cruces de palabras y la cantidad de palabras solas (que no se cruzan con otras) ((llenado * 4 + 2 * cruces) / (1 + solas * 4) por defecto))
+   * @param {Number} options.islas - Cantidad de poblaciones independientes que evolucionar hace en paralelo, cada una en un worker_thread (1 por defecto, sin paralelismo)
+   * @param {Number} options.migracionCada - Cantidad de iteraciones entre cada intercambio de matrices entre las islas (5 por defecto)
+   * @param {Number} options.migrantes - Cantidad de mejores matrices que cada isla envia a la siguiente en cada intercambio (2 por defecto)
+   * @param {Object} options.filtro - Filtra las preguntas por sus metadatos: {categorias, idiomas, dificultadMinima, dificultadMaxima, etiquetas, sinEtiquetas} (null por defecto, sin filtro).
+   * Solo se usan las palabras que tienen al menos una pregunta que cumple el filtro, ej: {sinEtiquetas: ['adulto']}
+   * @param {Object} options.cuotas - Cuotas de preguntas por diccionario (nombre o huella) y por categoria: {diccionarios: {nombre: cuota}, categorias: {CATEGORIA: cuota}},
+   * donde cada cuota es {minimo, maximo, proporcion} (todos opcionales, proporcion entre 0 y 1). Al ubicar palabras no se superan los maximos ni las proporciones
+   * y se prefieren las que ayudan a cumplir los minimos (null por defecto, sin cuotas). ej: {categorias: {CINE: {minimo: 3}, DEPORTE: {maximo: 2}}}
+   * @param {Boolean} options.frasesComoRespuestas - Permite ubicar respuestas de varias palabras (con espacios): se escriben sin espacios en la grilla
+   * y en las salidas se muestran con espacios y con su enumeración, ej: (4,2,5) (false por defecto)
+   * @param {String|Array} options.mascara - Forma de la grilla: plantilla ASCII (texto con una linea por fila, o array de textos) donde '#' y los espacios son celdas bloqueadas
+   * y cualquier otro carácter es usable, o matriz de booleanos donde true es una celda bloqueada. Las celdas bloqueadas no se usan y el ancho y el alto se toman de la máscara (null por defecto, sin máscara)
+   * @param {Array} options.requeridas - Palabras que el crucigrama debe tener, como {palabra, pregunta, x, y, horizontal} (solo palabra es obligatoria, pregunta tambien si la palabra no está en la compilación).
+   * generar las ubica primero (en su posición y dirección, si se indican) y la evolución no las quita ni las superpone. Si alguna no cabe, generar lanza un error (null por defecto)
+   * @param {Number} options.tasaCruce - Probabilidad [0, 1] de que una solución nueva sea el cruce de dos matrices seleccionadas: se corta la grilla en dos regiones
+   * y se juntan las palabras de un padre en una región con las compatibles del otro padre en la otra (0 por defecto, sin cruce)
+   * @param {Number} options.tasaQuitar - Probabilidad [0, 1] de quitar una palabra de cada solución nueva, de preferencia una con pocos cruces (0 por defecto)
+   * @param {Number} options.tasaMover - Probabilidad [0, 1] de mover una palabra de cada solución nueva a otra posición donde cruce otras palabras (0 por defecto).
+   * Las palabras requeridas nunca se quitan ni se mueven, y las soluciones a las que se les quita o mueve una palabra dejan de estar finalizadas
+   * @param {Boolean} options.soloConectadas - Rechaza los crucigramas desconectados (con grupos de palabras que no se cruzan con el resto): cada palabra nueva debe cruzar otra,
+   * sin ubicar primero palabras en los bordes, cada palabra requerida debe cruzar alguna de las anteriores y se descartan las soluciones con mas de una componente conexa
+   * (si ninguna es conexa iterar retorna las matrices que recibió, y los demas metodos lanzan un error) (false por defecto)
+   * @param {Boolean} options.validacionEstricta - El generador nunca entrega una matriz que no pasa validar: descarta las soluciones invalidas y lanza un error si ninguna es valida (false por defecto)
+   * @param {String|Array|Object} options.historial - Historial de los crucigramas publicados (ver src/historial.js y el metodo publicar): ruta de un archivo JSON, array de registros
+   * o almacén con los metodos leer y agregar. Al generar no se usan las respuestas ni las preguntas publicadas en las ventanas de dias (null por defecto, sin historial)
+   * @param {String} options.fechaHistorial - Dia de publicación del crucigrama que se genera ('AAAA-MM-DD'), desde el que se cuentan las ventanas del historial (null por defecto, hoy)
+   * @param {Number} options.diasSinRepetirRespuesta - Dias antes y despues de una publicación en que no se repite una de sus respuestas (30 por defecto, 0 para permitirlo)
+   * @param {Number} options.diasSinRepetirPregunta - Dias antes y despues de una publicación en que no se repite una de sus preguntas (30 por defecto, 0 para permitirlo)
+   * @param {Function} options.fnPuntaje - Es una función que asigna un puntaje al crucigrama y que depende del porcentaje de llenado, la cantidad de cruces de palabras, la cantidad de palabras solas (que no se cruzan con otras)
+   * y el cumplimiento de las cuotas entre 0 y 1 (((llenado * 4 + 2 * cruces) / (1 + solas * 4)) * (0.5 + cuotas / 2) por defecto)).
+   * Como quinto parámetro recibe las métricas de la grilla: {llenado, cruces, solas, cuotas, componentes, largos, chequeadas, regionVaciaMayor, coberturaBorde} (ver src/metricas.js)
    */
   constructor(options) {
     if (!options.compilacion) {
@@ -171,23 +503,83 @@ class ConwordsGenerator {
     this.#configurar(options);
   }
 
-  /**Genera la matriz inicial del crucigrama
+  /**Genera la matriz inicial del crucigrama. Si hay palabras requeridas (opción requeridas) las ubica primero, y lanza un error si alguna no cabe
    * @param {Number} semilla - Semilla para generar la matriz del crucigrama (aleatorea por defecto)
    * @returns {String} - Matriz del crucigrama (Si no se pasa semilla se genera una aleatorea)
    */
   generar(semilla = this.#generateSerial()) {
-    let matriz = Array.from({ length: this.options.alto }).map(() => new Array(this.options.ancho).fill([this.options.espacioVacio, false, false]));
-    matriz.preguntas = new Set();
-    matriz.preguntasData = [];
-    matriz.ancho = this.options.ancho;
-    matriz.alto = this.options.alto;
-    this.semilla = '' + semilla;
-    this.random = seed(semilla);
+    const grilla = this.#matrizVacia(semilla);
+    if (this.options.requeridas) {
+      this.#ubicarRequeridas(grilla);
+    }
+    const matriz = grilla.aMatriz(this.options.espacioVacio);
+    if (this.options.validacionEstricta) {
+      const validacion = this.validar(matriz);
+      if (!validacion.valida) {
+        this.#lanzarInvalida(validacion);
+      }
+    }
     return matriz;
   }
 
+  /**Reconstruye exactamente un crucigrama a partir de su semilla, sus opciones y la cantidad de iteraciones
+   * (los datos que se imprimen en el RESUMEN de toString, ver ConwordsGenerator.leerResumen).<br>
+   * Debe usarse la misma compilación de diccionarios con la que se generó el crucigrama original.
+   * @param {Object} datos - Datos del crucigrama a reproducir
+   * @param {String} datos.semilla - Semilla del crucigrama
+   * @param {Object} datos.opciones - Opciones del generador usadas en el crucigrama ({} por defecto)
+   * @param {Number} datos.iteraciones - Cantidad de iteraciones realizadas (0 por defecto)
+   * @param {Boolean} datos.completar - Indica si se aplicó el metodo completar (true por defecto)
+   * @param {Object} datos.denso - Opciones de generarDenso si el crucigrama es denso (null por defecto, se genera con generar)
+   * @returns {Array} - Matrices resultantes, igual que iterar o completar
+   */
+  reproducir({ semilla, opciones = {}, iteraciones = 0, completar = true, denso = null }) {
+    if (semilla === undefined || semilla === null) {
+      throw new Error('Debe indicar la semilla del crucigrama a reproducir');
+    }
+    this.#configurar(opciones);
+    if (this.options.islas > 1 && !denso) {
+      throw new Error('Los crucigramas generados con islas se reproducen con: await generador.evolucionar({ semilla, maxIteraciones: iteraciones })');
+    }
+    let matriz = denso ? this.generarDenso({ ...denso, semilla }) : this.generar(semilla);
+    for (let i = 0; i < iteraciones; i++) {
+      matriz = this.iterar(matriz);
+    }
+    if (completar) {
+      matriz = this.completar(matriz);
+    }
+    return matriz;
+  }
+
+  /**Lee el RESUMEN impreso por toString y retorna los datos necesarios para reproducir el crucigrama con el metodo reproducir
+   * @param {String} texto - Texto que contiene el RESUMEN del crucigrama
+   * @returns {Object} - {semilla, opciones, iteraciones, completar, denso}
+   */
+  static leerResumen(texto) {
+    const semilla = texto.match(/RESUMEN \(([^)]*)\)/);
+    if (semilla === null) {
+      throw new Error('El texto no contiene el RESUMEN de un crucigrama');
+    }
+    const iteraciones = texto.match(/ITERACIONES: (\d+)/);
+    const completado = texto.match(/COMPLETADO: (SI|NO)/);
+    const denso = texto.match(/DENSO: (.*)/);
+    const opciones = texto.match(/OPCIONES: (.*)/);
+    const tamaño = texto.match(/TAMAÑO: (\d+)x(\d+)/);
+    return {
+      semilla: semilla[1],
+      opciones: {
+        ...(tamaño ? { ancho: Number(tamaño[1]), alto: Number(tamaño[2]) } : {}),
+        ...(opciones ? JSON.parse(opciones[1]) : {}),
+      },
+      iteraciones: iteraciones ? Number(iteraciones[1]) : 0,
+      completar: completado ? completado[1] === 'SI' : true,
+      denso: denso ? JSON.parse(denso[1]) : null,
+    };
+  }
+
   /**
-   * Realiza una iteración de generación de crucigrama
+   * Realiza una iteración de generación de crucigrama: cada solución nueva es un clon de una matriz seleccionada (o el cruce de dos, segun tasaCruce),
+   * a la que se le puede quitar o mover una palabra (segun tasaQuitar y tasaMover) y se le agregan palabrasPorIteracion palabras
    * @param {*} matrices
    * @returns retorna la matriz resultante de la iteración
    */
@@ -195,18 +587,146 @@ class ConwordsGenerator {
     if (matrices.preguntas !== undefined) {
       matrices = [matrices];
     }
+    this.iteraciones++;
+    //Se itera sobre grillas (ver src/grilla.js), las matrices se convierten al final en #seleccionarSoluciones
+    const grillas = matrices.map((matriz) => this.#aGrilla(matriz));
+    this.#permitidasPorLargo = new Map();
     let soluciones = [];
     for (let i = 0; i < this.options.solucionesPorIteracion; i++) {
-      let idx = Math.floor((matrices.length * i) / this.options.solucionesPorIteracion);
-      let matriz = matrices[idx];
-      let matrizClon = clone(matriz);
+      let idx = Math.floor((grillas.length * i) / this.options.solucionesPorIteracion);
+      let grilla = grillas[idx];
+      let matrizClon;
+      //Los operadores geneticos solo usan el generador aleatorio si su tasa es mayor a 0, asi sin ellos se generan los mismos crucigramas
+      if (this.options.tasaCruce > 0 && grillas.length > 1 && this.random() < this.options.tasaCruce) {
+        const otra = (idx + 1 + Math.floor(this.random() * (grillas.length - 1))) % grillas.length;
+        matrizClon = this.#cruzar(grilla, grillas[otra]);
+      } else {
+        matrizClon = grilla.clonar();
+      }
+      if (this.options.tasaQuitar > 0 && this.random() < this.options.tasaQuitar) {
+        this.#quitarPalabra(matrizClon);
+      }
+      if (this.options.tasaMover > 0 && this.random() < this.options.tasaMover) {
+        this.#moverPalabra(matrizClon);
+      }
 
       for (let palabra = 0; palabra < this.options.palabrasPorIteracion; palabra++) {
         matrizClon = this.#generarPregunta(matrizClon);
       }
       soluciones.push(matrizClon);
     }
-    return this.#seleccionarSoluciones(soluciones);
+    return this.#seleccionarSoluciones(soluciones, this.options.solucionesSeleccionadas, grillas);
+  }
+
+  /**
+   * Itera hasta que se cumpla alguno de los criterios de término y luego aplica el metodo completar.<br>
+   * Entre cada iteración deja correr el resto del programa (para no bloquear la web y para poder cancelar con un AbortSignal).<br>
+   * Si la opción islas es mayor a 1, cada isla itera en su propio worker_thread e intercambian sus mejores matrices cada migracionCada iteraciones
+   * (la función fnPuntaje se envia como texto a cada hilo, por lo que debe ser autocontenida: sin variables externas, y no un método ni una función creada con bind).
+   * @param {Object} opciones - Criterios de término y opciones de la evolución
+   * @param {Array} opciones.matrices - Matrices desde donde continuar (por defecto se genera una nueva con generar(semilla))
+   * @param {String} opciones.semilla - Semilla de la matriz inicial, si no se pasan matrices (aleatorea por defecto)
+   * @param {Number} opciones.maxIteraciones - Cantidad maxima de iteraciones (Infinity por defecto)
+   * @param {Number} opciones.tiempoMaximoMs - Tiempo maximo en milisegundos (Infinity por defecto)
+   * @param {Number} opciones.llenadoObjetivo - Termina al llenar esta proporción del crucigrama [0, 1] (sin objetivo por defecto)
+   * @param {Number} opciones.estancamiento - Termina si el mejor puntaje no mejora en esta cantidad de iteraciones (sin limite por defecto)
+   * @param {AbortSignal} opciones.signal - Señal para cancelar la evolución (se retorna la mejor solución encontrada)
+   * @param {Function} opciones.onProgreso - Función que se llama en cada iteración con el progreso (ver evolucion)
+   * @param {Boolean} opciones.completar - Indica si se aplica el metodo completar al terminar (true por defecto)
+   * @returns {Promise} - Promesa que resuelve con las matrices resultantes. La propiedad motivo indica por qué terminó:
+   * 'iteraciones', 'tiempo', 'llenado', 'estancamiento', 'cancelado' o 'finalizado' (todas las soluciones alcanzaron finishAt)
+   */
+  async evolucionar(opciones = {}) {
+    const evolucion = this.evolucion(opciones);
+    let paso = await evolucion.next();
+    let matrices = opciones.matrices;
+    while (!paso.done) {
+      matrices = paso.value.matrices;
+      if (opciones.onProgreso) {
+        opciones.onProgreso(paso.value);
+      }
+      paso = await evolucion.next();
+    }
+    matrices = paso.value.matrices;
+    if (opciones.completar !== false) {
+      matrices = this.completar(matrices);
+    }
+    matrices.motivo = paso.value.motivo;
+    return matrices;
+  }
+
+  /**
+   * Versión como iterador asincrono de evolucionar (sin completar), para animar el progreso:<br>
+   * for await (const paso of generador.evolucion({ maxIteraciones: 60 })) { dibujar(paso.matriz) }<br>
+   * Al terminar el iterador retorna {matrices, motivo}.
+   * @param {Object} opciones - Las mismas opciones de evolucionar
+   * @returns {AsyncGenerator} - En cada iteración entrega {iteracion, matriz, matrices, cruces, solas, llenado, porcentajeLlenado, puntaje, finalizadas, tiempoMs}
+   */
+  async *evolucion({ matrices, semilla, maxIteraciones = Infinity, tiempoMaximoMs = Infinity, llenadoObjetivo, estancamiento, signal } = {}) {
+    /**Espera el siguiente ciclo, para que se procesen los eventos (como la cancelación) */
+    const siguienteCiclo = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    if (matrices === undefined) {
+      matrices = this.generar(semilla);
+    }
+    if (matrices.preguntas !== undefined) {
+      matrices = [matrices];
+    }
+    if (this.options.islas > 1) {
+      const criterios = { maxIteraciones, tiempoMaximoMs, llenadoObjetivo, estancamiento, signal };
+      //Las islas reciben los registros del historial que se consultaron, asi excluyen las mismas palabras aunque el historial sea un almacén que no se puede enviar
+      const historial = this.#historial !== null ? { historial: this.#historial.registros, fechaHistorial: this.#historial.fecha } : {};
+      return yield* evolucionEnIslas({ generador: this, opciones: { ...this.#opcionesSerializables(), ...historial }, matrices, criterios });
+    }
+    const inicio = Date.now();
+    let iteracion = 0;
+    let mejorPuntaje = -Infinity;
+    let sinMejora = 0;
+    while (true) {
+      await siguienteCiclo();
+      if (signal && signal.aborted) {
+        return { matrices, motivo: 'cancelado' };
+      }
+      if (iteracion >= maxIteraciones) {
+        return { matrices, motivo: 'iteraciones' };
+      }
+      if (Date.now() - inicio >= tiempoMaximoMs) {
+        return { matrices, motivo: 'tiempo' };
+      }
+
+      matrices = this.iterar(matrices);
+      iteracion++;
+      const mejor = matrices[0];
+      if (mejor.puntaje > mejorPuntaje) {
+        mejorPuntaje = mejor.puntaje;
+        sinMejora = 0;
+      } else {
+        sinMejora++;
+      }
+      const porcentajeLlenado = this.getPorcentajeLlenado(mejor);
+      yield {
+        iteracion,
+        matriz: mejor,
+        matrices,
+        cruces: mejor.cruces,
+        solas: mejor.solas,
+        llenado: mejor.llenado,
+        porcentajeLlenado,
+        puntaje: mejor.puntaje,
+        finalizadas: matrices.filter((matriz) => matriz.finish).length,
+        tiempoMs: Date.now() - inicio,
+      };
+
+      if (llenadoObjetivo !== undefined && porcentajeLlenado >= llenadoObjetivo) {
+        return { matrices, motivo: 'llenado' };
+      }
+      if (estancamiento !== undefined && sinMejora >= estancamiento) {
+        return { matrices, motivo: 'estancamiento' };
+      }
+      if (matrices.every((matriz) => matriz.finish)) {
+        return { matrices, motivo: 'finalizado' };
+      }
+    }
   }
 
   /**
@@ -216,6 +736,10 @@ class ConwordsGenerator {
    *
    * */
   completar(matrices) {
+    if (matrices.preguntas !== undefined) {
+      matrices = [matrices];
+    }
+    this.completado = true;
     //Vamos a comentar la mayor parte de este metodo
     //Recorre las matrices
     matrices.forEach((matriz) => {
@@ -227,8 +751,8 @@ class ConwordsGenerator {
         for (let x = 0; x < this.options.ancho; x++) {
           //Recorre las columnas
           for (let y = 0; y < this.options.alto; y++) {
-            //Si en x,y hay un espacio vacio
-            if (matriz[y][x][0] === this.options.espacioVacio) {
+            //Si en x,y hay un espacio vacio (y no está bloqueado por la máscara)
+            if (matriz[y][x][0] === this.options.espacioVacio && !this.#bloqueada(x, y)) {
               //busca el espacio mas grande de una palabra horizontal que pase por x,y
               //tambien debe chequear que no haya una palabra horizontal, sobre o bajo la palabra que estamos buscando
               let x1 = x,
@@ -243,6 +767,11 @@ class ConwordsGenerator {
                   x1 = 0;
                   sigue = false;
                   chocoX1 = false;
+                  //llega a una celda bloqueada (es como un borde)
+                } else if (this.#bloqueada(x1, y)) {
+                  x1++;
+                  sigue = false;
+                  chocoX1 = false;
                   //choca con una palabra horizontal
                 } else if (matriz[y][x1][2]) {
                   sigue = false;
@@ -276,6 +805,11 @@ class ConwordsGenerator {
                   x2 = this.options.ancho - 1;
                   sigue = false;
                   chocoX2 = false;
+                  //llega a una celda bloqueada (es como un borde)
+                } else if (this.#bloqueada(x2, y)) {
+                  x2--;
+                  sigue = false;
+                  chocoX2 = false;
                   //choca con una palabra horizontal
                 } else if (matriz[y][x2][2]) {
                   sigue = false;
@@ -323,6 +857,11 @@ class ConwordsGenerator {
                   y1 = 0;
                   sigue = false;
                   chocoY1 = false;
+                  //llega a una celda bloqueada (es como un borde)
+                } else if (this.#bloqueada(x, y1)) {
+                  y1++;
+                  sigue = false;
+                  chocoY1 = false;
                   //choca con una palabra vertical
                 } else if (matriz[y1][x][1]) {
                   sigue = false;
@@ -356,6 +895,11 @@ class ConwordsGenerator {
                   y2 = this.options.alto - 1;
                   sigue = false;
                   chocoY2 = false;
+                  //llega a una celda bloqueada (es como un borde)
+                } else if (this.#bloqueada(x, y2)) {
+                  y2--;
+                  sigue = false;
+                  chocoY2 = false;
                   //choca con una palabra vertical
                 } else if (matriz[y2][x][1]) {
                   sigue = false;
@@ -395,6 +939,7 @@ class ConwordsGenerator {
         //console.log(points);
 
         continua = false;
+        const conteo = this.options.cuotas ? this.#contarCuotas(matriz) : undefined;
 
         for (let point of points) {
           let matches = new Set();
@@ -416,25 +961,32 @@ class ConwordsGenerator {
           }
           let palabras = this.options.compilacion.largos[point.size];
           if (palabras !== undefined) {
-            palabras = palabras.filter((palabra) => this.ignored.has(palabra) === false);
+            palabras = palabras.filter((palabra) => this.ignored.has(palabra) === false && this.#permitida(palabra));
             palabras = palabras ? palabras : [];
             for (let match of matches) {
               let palabrasMatch = this.options.compilacion.letras[match];
               if (palabrasMatch !== undefined) {
-                palabras = palabras.filter((p) => palabrasMatch.includes(p));
+                palabras = palabras.filter((p) => palabrasMatch.has(p));
               } else {
                 palabras = [];
               }
             }
-            palabras = palabras.filter((p) => !matriz.preguntas.has(p));
+            const textos = this.#textosUsados(matriz);
+            palabras = palabras.filter((p) => !matriz.preguntas.has(p) && !this.#textoUsado(textos, p));
+            if (conteo !== undefined) {
+              //Respeta los maximos de las cuotas y prefiere las palabras que ayudan a cumplir los minimos
+              const permitidas = palabras.filter((p) => this.#aceptaCuotas(p, conteo, false));
+              const faltantes = permitidas.filter((p) => this.#aceptaCuotas(p, conteo, true));
+              palabras = faltantes.length > 0 ? faltantes : permitidas;
+            }
             if (palabras.length > 0) {
-              let pos = Math.floor(Math.random() * palabras.length);
+              let pos = Math.floor(this.random() * palabras.length);
               let idx = palabras[pos];
               let palabra = this.options.compilacion.palabras[idx];
               let x = point.x,
                 y = point.y;
               for (let i = 0; i < palabra.length; i++) {
-                matriz[y][x][0] = palabra[i];
+                matriz[y][x][0] = this.#normalizarLetra(palabra[i]);
                 if (point.horizontal) {
                   matriz[y][x][2] = true;
                   x++;
@@ -445,7 +997,7 @@ class ConwordsGenerator {
               }
               continua = true;
               matriz.preguntas.add(idx);
-              matriz.preguntasData.push({ idx, palabra, horizontal: point.horizontal ? 1 : 0, x: point.x, y: point.y });
+              matriz.preguntasData.push({ idx, palabra, horizontal: point.horizontal ? 1 : 0, x: point.x, y: point.y, pregunta: this.#elegirPregunta(idx, this.random, conteo) });
               break;
             }
           }
@@ -455,6 +1007,94 @@ class ConwordsGenerator {
     return this.#seleccionarSoluciones(matrices);
   }
 
+  /**Genera un crucigrama denso (estilo americano): cada celda blanca pertenece a una palabra horizontal y a una vertical,
+   * las celdas negras tienen simetría rotacional de 180° y todas las palabras tienen al menos 3 letras (ver src/denso.js).<br>
+   * El patrón de celdas negras se indica o se crea al azar, y se llena con backtracking usando los indices largos y letras de la compilación.
+   * Las celdas bloqueadas por la máscara se usan como celdas negras del patrón. Lanza un error si el patrón no es valido o si no se encuentra un llenado.
+   * @param {Object} opciones - Opciones del modo denso
+   * @param {String|Array} opciones.patron - Patrón fijo de celdas negras, con el mismo formato que la opción mascara ('#' son celdas negras).
+   * El ancho y el alto se toman del patrón y cambian las opciones ancho y alto del generador, que las siguientes llamadas (generar, reproducir, toString...) usan
+   * (por defecto se crea un patrón del ancho y alto del generador)
+   * @param {String} opciones.semilla - Semilla del crucigrama (aleatorea por defecto)
+   * @param {Number} opciones.proporcionNegras - Proporción de celdas negras de los patrones creados [0, 1] (0.18 por defecto)
+   * @param {Number} opciones.largoMaximo - Largo maximo de las palabras de los patrones creados (7 por defecto)
+   * @param {Number} opciones.maxPasos - Cantidad maxima de palabras probadas en cada llenado (100000 por defecto)
+   * @param {Number} opciones.intentos - Cantidad de patrones creados que se prueban antes de rendirse, no se usa con un patrón fijo (5 por defecto)
+   * @returns {Array} - Matrices resultantes (una), igual que iterar o completar
+   */
+  generarDenso({ patron = null, semilla, proporcionNegras = 0.18, largoMaximo = 7, maxPasos = 100000, intentos = 5 } = {}) {
+    let fijas = this.#bloqueadas;
+    if (patron !== null) {
+      const leido = leerMascara(patron);
+      if (fijas !== null && (leido.ancho !== this.options.ancho || leido.alto !== this.options.alto)) {
+        throw new Error(`El patrón (${leido.ancho}x${leido.alto}) debe tener el mismo tamaño que la máscara (${this.options.ancho}x${this.options.alto})`);
+      }
+      //El generador queda con el tamaño del patrón (como con la opción mascara), asi las salidas y el RESUMEN corresponden al crucigrama denso
+      this.#configurar({ ancho: leido.ancho, alto: leido.alto });
+      fijas = leido.bloqueadas.map((fila, y) => fila.map((negra, x) => negra || this.#bloqueada(x, y)));
+      const problemas = problemasPatron(fijas);
+      if (problemas.length > 0) {
+        throw new Error(`El patrón no sirve para un crucigrama denso: ${problemas.join(', ')}`);
+      }
+    } else if (fijas !== null && problemasPatron(fijas).some((problema) => problema.includes('simétrica'))) {
+      throw new Error('Las celdas bloqueadas por la máscara deben tener simetría rotacional de 180° para un crucigrama denso');
+    }
+    if (this.options.requeridas) {
+      throw new Error('El crucigrama denso no admite palabras requeridas (opción requeridas)');
+    }
+    const grilla = this.#matrizVacia(semilla);
+    //Las opciones del modo denso se imprimen en el RESUMEN, para que reproducir llame a generarDenso
+    this.denso = { patron, proporcionNegras, largoMaximo, maxPasos, intentos };
+
+    //Palabras que se pueden usar, por largo y con sus letras normalizadas
+    const { palabras, largos } = this.options.compilacion;
+    const palabrasPorLargo = new Map();
+    const largoUsado = (largo) => {
+      if (!palabrasPorLargo.has(largo)) {
+        const lista = (largos[largo] || []).filter((idx) => !this.ignored.has(idx) && this.#permitida(idx));
+        const conTexto = lista.map((idx) => ({ idx, texto: this.#normalizarPalabra(palabras[idx]) }));
+        //Cada texto se usa una sola vez, porque un crucigrama denso nunca repite una respuesta (ej: EL y ÉL con el perfil plegado, o la misma respuesta
+        //en dos diccionarios con distinto indice), ademas asi el llenado no prueba dos veces las mismas letras
+        const textos = new Set();
+        palabrasPorLargo.set(largo, conTexto.filter(({ texto }) => !textos.has(texto) && textos.add(texto)));
+      }
+    };
+
+    let resultado;
+    let negras;
+    for (let intento = 0; intento < (patron !== null ? 1 : intentos); intento++) {
+      negras = patron !== null ? fijas : crearPatron(this.options.ancho, this.options.alto, this.random, { proporcionNegras, largoMaximo, negras: fijas });
+      if (negras === undefined) {
+        continue;
+      }
+      ranurasPatron(negras).forEach((ranura) => largoUsado(ranura.largo));
+      resultado = llenarPatron(negras, palabrasPorLargo, { random: this.random, maxPasos });
+      if (resultado.asignaciones !== undefined) {
+        break;
+      }
+    }
+    if (resultado === undefined) {
+      throw new Error(`No se pudo crear un patrón de ${this.options.ancho}x${this.options.alto} con palabras de ${LARGO_MINIMO} a ${largoMaximo} letras (pruebe con otra proporcionNegras o largoMaximo)`);
+    }
+    if (resultado.asignaciones === undefined) {
+      const { ranura } = resultado;
+      const donde = `la palabra ${ranura.horizontal ? 'horizontal' : 'vertical'} de ${ranura.largo} letras en x:${ranura.x} y:${ranura.y} es la que mas veces se quedó sin palabras`;
+      if (patron === null) {
+        throw new Error(`No se encontró un llenado en ${intentos} patrones creados (en el ultimo ${donde}). Pruebe con mas intentos, mas pasos o con otro largoMaximo`);
+      }
+      if (resultado.agotado) {
+        throw new Error(`No existe un llenado del patrón con las palabras de la compilación (${donde})`);
+      }
+      throw new Error(`No se encontró un llenado del patrón en ${maxPasos} pasos (${donde}). Puede existir con mas pasos (opción maxPasos)`);
+    }
+
+    for (let { idx, texto, horizontal, x, y } of resultado.asignaciones) {
+      grilla.agregar({ idx, palabra: palabras[idx], horizontal: horizontal ? 1 : 0, x, y, pregunta: this.#elegirPregunta(idx) }, texto);
+    }
+    grilla.finish = true;
+    return this.#seleccionarSoluciones([grilla]);
+  }
+
   /** Formatea el crucigrama para ser mostrado por consola
    * @param {Array} matriz - Matriz del crucigrama
    * @param {Boolean} preguntas - Indica si se muestran las preguntas (false por defecto)
@@ -484,7 +1124,8 @@ class ConwordsGenerator {
         for (let y = 0; y < this.options.alto; y++) {
           s = s + (y < 10 ? '0' : '') + y + '  ';
           for (let x = 0; x < this.options.ancho; x++) {
-            s = s + (layer > 0 ? (matriz[y][x][layer].toUpperCase() ? '#' : '·') : matriz[y][x][0].toUpperCase()) + ' ';
+            //Las celdas bloqueadas por la máscara se muestran en blanco, para que se vea la forma de la grilla
+            s = s + (this.#bloqueada(x, y) ? ' ' : layer > 0 ? (matriz[y][x][layer].toUpperCase() ? '#' : '·') : matriz[y][x][0].toUpperCase()) + ' ';
           }
           s = s + '\n';
         }
@@ -516,24 +1157,11 @@ class ConwordsGenerator {
 
     if (preguntas) {
       mt.forEach((matriz) => {
-        for (let orientacion of [1, 0]) {
-          let s = '\n' + (orientacion ? 'HORIZONTAL:' : 'VERTICAL:') + '\n';
-          for (let y = 0; y < this.options.alto; y++) {
-            for (let x = 0; x < this.options.ancho; x++) {
-              let pregunta = matriz.preguntasData.find((p) => p.x === x && p.y === y && p.horizontal === orientacion);
-              if (pregunta) {
-                let preg = clone(this.options.compilacion.preguntas[pregunta.idx]);
-                preg[0] = preg[0].filter((idx) => idx !== pregunta.idx);
-                preg[0] = preg[0].map((idx) => this.options.compilacion.palabras[idx]);
-                preg[1] = preg[1].map((idx) => this.options.compilacion.frases[idx]);
-                let options = [...preg[0], ...preg[1]];
-                preg = options[Math.floor(this.random() * options.length)];
-                pregunta.pregunta = preg;
-                pregunta.horizontal = pregunta.horizontal === 1;
-                delete pregunta.idx;
-                s = s + `${(x < 10 ? '0' : '') + x}${(y < 10 ? '0' : '') + y}:${pregunta.palabra}: ${preg}\n`;
-              }
-            }
+        const { horizontales, verticales } = this.#numerar(matriz);
+        for (let lista of [horizontales, verticales]) {
+          let s = '\n' + (lista === horizontales ? 'HORIZONTAL:' : 'VERTICAL:') + '\n';
+          for (let pregunta of lista) {
+            s = s + `${pregunta.numero}:${pregunta.palabra} (${pregunta.enumeracion || pregunta.largo}): ${pregunta.pregunta}\n`;
           }
           ss = ss + s;
         }
@@ -542,11 +1170,28 @@ class ConwordsGenerator {
 
     const matriz = matrices[0];
 
-    ss = `${ss}\nRESUMEN (${this.semilla})\n-------------------\nTAMAÑO: ${this.options.ancho}x${this.options.alto}\nHASH: ${matriz.hash}\nCRUCES: ${matriz.cruces}\nPALABRAS SOLAS: ${matriz.solas}\nLLENADO: ${matriz.llenado} ${matriz.llenado ? Math.round((100 * matriz.llenado) / this.options.ancho / this.options.alto) : ''}%\nSCORE: ${matriz.puntaje}`;
+    ss = `${ss}\nRESUMEN (${this.semilla})\n-------------------\nTAMAÑO: ${this.options.ancho}x${this.options.alto}\nHASH: ${matriz.hash}\nCRUCES: ${matriz.cruces}\nPALABRAS SOLAS: ${matriz.solas}\nLLENADO: ${matriz.llenado} ${matriz.llenado ? Math.round(100 * this.getPorcentajeLlenado(matriz)) : ''}%\nSCORE: ${matriz.puntaje}\nITERACIONES: ${this.iteraciones}\nCOMPLETADO: ${this.completado ? 'SI' : 'NO'}\n${this.denso ? `DENSO: ${JSON.stringify(this.denso)}\n` : ''}${this.#textoFuentes(matriz)}OPCIONES: ${JSON.stringify(this.#opcionesSerializables())}`;
 
     return ss;
   }
 
+  /**Lineas DICCIONARIOS y CATEGORIAS del RESUMEN, con la cantidad de preguntas de cada uno (vacio si no se conocen) */
+  #textoFuentes(matriz) {
+    const fuentes = this.getFuentes(matriz);
+    let texto = '';
+    for (let [titulo, cantidades] of [
+      ['DICCIONARIOS', fuentes.diccionarios],
+      ['CATEGORIAS', fuentes.categorias],
+    ]) {
+      if (Object.keys(cantidades).length > 0) {
+        texto += `${titulo}: ${Object.entries(cantidades)
+          .map(([nombre, cantidad]) => `${nombre} (${cantidad})`)
+          .join(', ')}\n`;
+      }
+    }
+    return texto;
+  }
+
   /**
    * Retorna la matriz del crucigrama en formato JSON
    * @param {*} matriz
@@ -556,37 +1201,421 @@ class ConwordsGenerator {
     if (matriz.preguntas === undefined) {
       matriz = matriz[0];
     }
-    const pregs = clone(matriz.preguntasData);
-    for (let orientacion of [1, 0]) {
-      for (let y = 0; y < this.options.alto; y++) {
-        for (let x = 0; x < this.options.ancho; x++) {
-          let pregunta = pregs.find((p) => p.x === x && p.y === y && p.horizontal === orientacion);
-          if (pregunta) {
-            let preg = clone(this.options.compilacion.preguntas[pregunta.idx]);
-            preg[0] = preg[0].filter((idx) => idx !== pregunta.idx);
-            preg[0] = preg[0].map((idx) => this.options.compilacion.palabras[idx]);
-            preg[1] = preg[1].map((idx) => this.options.compilacion.frases[idx]);
-            let options = [...preg[0], ...preg[1]];
-            preg = options[Math.floor(this.random() * options.length)];
-            pregunta.pregunta = preg;
-            pregunta.horizontal = pregunta.horizontal === 1;
-            delete pregunta.idx;
-          }
+    const { horizontales, verticales } = this.#numerar(matriz);
+    return [
+      ...horizontales.map((p) => ({ palabra: p.palabra, horizontal: true, x: p.x, y: p.y, pregunta: p.pregunta, numero: p.numero, largo: p.largo, enumeracion: p.enumeracion, diccionario: p.diccionario, categoria: p.categoria })),
+      ...verticales.map((p) => ({ palabra: p.palabra, horizontal: false, x: p.x, y: p.y, pregunta: p.pregunta, numero: p.numero, largo: p.largo, enumeracion: p.enumeracion, diccionario: p.diccionario, categoria: p.categoria })),
+    ];
+  }
+
+  /**
+   * Retorna los diccionarios y las categorias de donde vienen las preguntas del crucigrama, con la cantidad de preguntas de cada uno
+   * (para dar credito a las fuentes o saber que categorias cubre el crucigrama)
+   * @param {*} matriz
+   * @returns {Object} - {diccionarios: {nombre: cantidad}, categorias: {categoria: cantidad}}, ordenados de mayor a menor cantidad
+   */
+  getFuentes(matriz) {
+    if (matriz.preguntas === undefined) {
+      matriz = matriz[0];
+    }
+    const { horizontales, verticales } = this.#numerar(matriz);
+    return ConwordsGenerator.#contarFuentes([...horizontales, ...verticales]);
+  }
+
+  /**Cuenta las preguntas por diccionario y por categoria */
+  static #contarFuentes(preguntas) {
+    const contar = (campo) => {
+      const cantidades = new Map();
+      for (let pregunta of preguntas) {
+        if (pregunta[campo] !== undefined) {
+          cantidades.set(pregunta[campo], (cantidades.get(pregunta[campo]) || 0) + 1);
         }
       }
+      return Object.fromEntries([...cantidades].sort((a, b) => b[1] - a[1]));
+    };
+    return { diccionarios: contar('diccionario'), categorias: contar('categoria') };
+  }
+
+  /**
+   * Retorna el crucigrama estructurado con la numeración estandar: cada celda donde comienza una palabra recibe un número
+   * (1, 2, 3... de izquierda a derecha y de arriba a abajo), compartido si ahí comienzan una palabra horizontal y una vertical.
+   * @param {*} matriz
+   * @returns {Object} - {semilla, ancho, alto, numeros, solucion, vacio, horizontales, verticales}, donde:<br>
+   * numeros: matriz [y][x] con el número de la celda (null si no tiene número)<br>
+   * solucion: matriz [y][x] con la letra de la celda (null si la celda no se usa)<br>
+   * vacio: matriz [y][x] para imprimir el crucigrama en blanco ('' en las celdas usadas y null en las no usadas)<br>
+   * horizontales y verticales: preguntas ordenadas por número, con la forma {numero, palabra, largo, x, y, pregunta, diccionario, categoria}<br>
+   * fuentes: diccionarios y categorias de las preguntas (ver getFuentes)
+   */
+  getCrucigrama(matriz) {
+    if (matriz.preguntas === undefined) {
+      matriz = matriz[0];
+    }
+    const { numeros, horizontales, verticales } = this.#numerar(matriz);
+    const solucion = [];
+    const vacio = [];
+    for (let y = 0; y < this.options.alto; y++) {
+      solucion.push([]);
+      vacio.push([]);
+      for (let x = 0; x < this.options.ancho; x++) {
+        const letra = matriz[y][x][0];
+        solucion[y].push(letra === this.options.espacioVacio ? null : letra.toUpperCase());
+        vacio[y].push(letra === this.options.espacioVacio ? null : '');
+      }
     }
-    return pregs;
+    const fuentes = ConwordsGenerator.#contarFuentes([...horizontales, ...verticales]);
+    const crucigrama = { semilla: this.semilla, ancho: this.options.ancho, alto: this.options.alto, numeros, solucion, vacio, horizontales, verticales, fuentes };
+    //Con máscara se indica que celdas están bloqueadas (las salidas no las dibujan)
+    if (this.#bloqueadas !== null) {
+      crucigrama.bloqueadas = this.#bloqueadas.map((fila) => [...fila]);
+    }
+    return crucigrama;
+  }
+
+  /**
+   * Exporta el crucigrama al formato binario .puz de Across Lite
+   * @param {*} matriz
+   * @param {Object} opciones - Opciones del archivo
+   * @param {String} opciones.titulo - Titulo del crucigrama ('Crucigrama ' + semilla por defecto)
+   * @param {String} opciones.autor - Autor del crucigrama ('' por defecto)
+   * @param {String} opciones.copyright - Copyright del crucigrama ('' por defecto)
+   * @param {String} opciones.notas - Notas del crucigrama ('' por defecto)
+   * @param {String} opciones.letras - El formato usa Latin-1: 'transliterar' quita los acentos y cambia la Ñ por N en la solución, 'latin1' los mantiene ('transliterar' por defecto)
+   * @returns {Buffer} - Contenido del archivo .puz
+   */
+  toPuz(matriz, opciones = {}) {
+    return escribirPuz(this.getCrucigrama(matriz), opciones);
+  }
+
+  /**
+   * Lee un archivo .puz (verificando sus checksums)
+   * @param {Buffer} buffer - Contenido del archivo .puz
+   * @returns {Object} - Crucigrama con la forma de getCrucigrama, mas {titulo, autor, copyright, notas}
+   */
+  static fromPuz(buffer) {
+    return leerPuz(buffer);
+  }
+
+  /**
+   * Dibuja la grilla del crucigrama en SVG, en blanco o con la solución
+   * @param {*} matriz
+   * @param {Object} opciones - Opciones del dibujo
+   * @param {Boolean} opciones.solucion - Indica si se dibujan las respuestas (false por defecto)
+   * @param {Number} opciones.tamañoCelda - Tamaño de cada celda en pixeles (32 por defecto)
+   * @param {String} opciones.fuente - Fuente de las letras y números ('Arial, Helvetica, sans-serif' por defecto)
+   * @param {String} opciones.colorBloque - Color de las celdas no usadas, si es null no se dibujan ('#000000' por defecto)
+   * @returns {String} - Documento SVG
+   */
+  toSvg(matriz, opciones = {}) {
+    return dibujarGrilla(this.getCrucigrama(matriz), opciones);
+  }
+
+  /**
+   * Dibuja en SVG la hoja de preguntas del crucigrama, con la misma numeración de toSvg
+   * @param {*} matriz
+   * @param {Object} opciones - Opciones del dibujo
+   * @param {Number} opciones.ancho - Ancho de la hoja en pixeles (600 por defecto)
+   * @param {Number} opciones.tamañoTexto - Tamaño del texto en pixeles (14 por defecto)
+   * @param {String} opciones.fuente - Fuente del texto ('Arial, Helvetica, sans-serif' por defecto)
+   * @returns {String} - Documento SVG
+   */
+  toSvgPreguntas(matriz, opciones = {}) {
+    return dibujarPreguntas(this.getCrucigrama(matriz), opciones);
+  }
+
+  /**
+   * Genera una página HTML imprimible, sin recursos externos, con la página del crucigrama (grilla y preguntas) y la página de la solución
+   * @param {*} matriz
+   * @param {Object} opciones - Opciones de la página (acepta tambien las opciones de toSvg)
+   * @param {String} opciones.titulo - Titulo de la página ('Crucigrama ' + semilla por defecto)
+   * @param {Number} opciones.tamañoCelda - Tamaño de cada celda en pixeles (32 por defecto)
+   * @param {String} opciones.fuente - Fuente de la página ('Arial, Helvetica, sans-serif' por defecto)
+   * @param {Number} opciones.tamañoTexto - Tamaño del texto de las preguntas en puntos (11 por defecto)
+   * @param {String} opciones.tamañoPapel - Tamaño del papel para imprimir ('A4' por defecto)
+   * @param {Boolean} opciones.soluciones - Indica si se agrega la página con la solución (true por defecto)
+   * @returns {String} - Documento HTML
+   */
+  toHtml(matriz, opciones = {}) {
+    return paginaHtml(this.getCrucigrama(matriz), opciones);
+  }
+
+  /**
+   * Exporta el crucigrama al formato abierto ipuz (JSON), que mantiene los acentos, la Ü y la Ñ.
+   * Ademas de los metadatos guarda la semilla, las iteraciones y las opciones del generador.
+   * @param {*} matriz
+   * @param {Object} opciones - Metadatos del crucigrama: {titulo, autor, copyright, editorial, notas}
+   * @returns {Object} - Objeto ipuz (para guardarlo como archivo usar JSON.stringify)
+   */
+  toIpuz(matriz, opciones = {}) {
+    return escribirIpuz(this.getCrucigrama(matriz), {
+      ...opciones,
+      generador: { iteraciones: this.iteraciones, completar: this.completado, denso: this.denso, opciones: this.#opcionesSerializables() },
+    });
+  }
+
+  /**
+   * Importa un crucigrama en formato ipuz como matriz del generador (para usarla con toString, getJSON, iterar, etc).<br>
+   * El ancho y alto del generador se ajustan al del crucigrama importado.
+   * @param {Object|String} ipuz - Objeto ipuz o el texto del archivo
+   * @returns {Array} - Matrices resultantes, igual que iterar o completar
+   */
+  fromIpuz(ipuz) {
+    const crucigrama = leerIpuz(ipuz);
+    this.#configurar({ ancho: crucigrama.ancho, alto: crucigrama.alto, mascara: crucigrama.bloqueadas || null });
+    const grilla = this.#matrizVacia(crucigrama.semilla);
+    //Las palabras del crucigrama están normalizadas, se buscan por su forma normalizada (si hay varias se usa la primera).
+    //Las respuestas con espacios se buscan con espacios, separando la palabra de la grilla segun su enumeración
+    const { palabras } = this.options.compilacion;
+    const indices = this.#indicesPorTexto();
+    const separar = (palabra, enumeracion) => {
+      let inicio = 0;
+      return enumeracion
+        .split(',')
+        .map((largo) => palabra.substring(inicio, (inicio += Number(largo))))
+        .join(' ');
+    };
+    for (let lista of [crucigrama.horizontales, crucigrama.verticales]) {
+      const horizontal = lista === crucigrama.horizontales ? 1 : 0;
+      for (let pregunta of lista) {
+        //Las palabras que no están en la compilación se agregan sin indice
+        const idx = indices.get(pregunta.enumeracion ? separar(pregunta.palabra, pregunta.enumeracion) : pregunta.palabra);
+        const palabra = idx !== undefined ? palabras[idx] : pregunta.palabra;
+        grilla.agregar({ idx, palabra, horizontal, x: pregunta.x, y: pregunta.y, pregunta: pregunta.pregunta }, pregunta.palabra);
+      }
+    }
+    if (crucigrama.generador) {
+      this.iteraciones = crucigrama.generador.iteraciones || 0;
+      this.completado = !!crucigrama.generador.completar;
+      this.denso = crucigrama.generador.denso || null;
+    }
+    return this.#seleccionarSoluciones([grilla]);
   }
 
   /** Indices de palabras ignoradas,que no se usaran en la proxima generación.<br>
-   * Para limpiar se debe ejecutar: generador.ignored.clear() */
+   * Para limpiar se debe ejecutar: generador.ignored.clear()<br>
+   * Para no repetir palabras entre crucigramas de una serie se usa la opción historial, que las reconoce por su texto y se guarda entre ejecuciones */
   ignored = new Set();
 
+  /** Cantidad de iteraciones realizadas desde la ultima llamada a generar (se imprime en el RESUMEN) */
+  iteraciones = 0;
+
+  /** Indica si se aplicó el metodo completar desde la ultima llamada a generar (se imprime en el RESUMEN) */
+  completado = false;
+
+  /** Opciones de generarDenso si el ultimo crucigrama es denso, null si no (se imprime en el RESUMEN) */
+  denso = null;
+
   ////////////////////////////////////////////////////////////////////////////////
 
-  /** Ignora un set de palabras */
-  #ignoreWords(words) {
-    words.forEach((w) => this.ignored.add(w));
+  /**Retorna una grilla sin palabras (ver src/grilla.js), reinicia el generador aleatorio con la semilla y consulta el historial */
+  #matrizVacia(semilla = this.#generateSerial()) {
+    const grilla = this.#grillaVacia();
+    this.semilla = '' + semilla;
+    //La semilla siempre se usa como texto, asi la semilla impresa en el RESUMEN reproduce el mismo crucigrama
+    this.random = generadorAleatorio(this.semilla);
+    this.#consultarHistorial();
+    this.iteraciones = 0;
+    this.completado = false;
+    this.denso = null;
+    return grilla;
+  }
+
+  /**Retorna una grilla sin palabras, del tamaño del generador */
+  #grillaVacia() {
+    const grilla = new Grilla(this.options.ancho, this.options.alto);
+    //Con máscara no se ubican primero palabras en los bordes del rectangulo, porque la mayoria de sus celdas suelen estar bloqueadas,
+    //y con soloConectadas tampoco, porque las palabras de los bordes no se cruzan entre ellas
+    if (this.#bloqueadas !== null || this.options.soloConectadas) {
+      grilla.borde = true;
+    }
+    return grilla;
+  }
+
+  /**Retorna la grilla de una matriz (ver src/grilla.js) */
+  #aGrilla(matriz) {
+    return Grilla.desdeMatriz(matriz, this.options.ancho, this.options.alto, this.options.espacioVacio);
+  }
+
+  /**Retorna un Map del texto normalizado de cada palabra de la compilación a su indice (si hay varias se usa la primera).
+   * Las respuestas con espacios se indexan con espacios */
+  #indicesPorTexto() {
+    const { palabras, espaciadas } = this.options.compilacion;
+    const indices = new Map();
+    palabras.forEach((palabra, idx) => {
+      const normalizada = this.#normalizarPalabra(espaciadas[idx] !== undefined ? espaciadas[idx] : palabra);
+      if (!indices.has(normalizada)) {
+        indices.set(normalizada, idx);
+      }
+    });
+    return indices;
+  }
+
+  /**Ubica las palabras requeridas en la matriz, en orden. Las que no tienen posición se ubican al azar, prefiriendo las posiciones que cruzan otra palabra.
+   * Se marcan con requerida: true en preguntasData. Lanza un error si alguna no es valida o no cabe */
+  #ubicarRequeridas(grilla) {
+    const { palabras } = this.options.compilacion;
+    const normalizar = normalizador(this.options.compilacion.normalizacion);
+    const indices = this.#indicesPorTexto();
+    for (let requerida of this.options.requeridas) {
+      const { palabra: texto, pregunta, x, y, horizontal } = requerida;
+      if (typeof texto !== 'string' || texto.trim() === '') {
+        throw new Error(`Las palabras requeridas deben ser {palabra, pregunta, x, y, horizontal} (solo palabra es obligatoria): ${JSON.stringify(requerida)}`);
+      }
+      if ((x === undefined) !== (y === undefined)) {
+        throw new Error(`La palabra requerida ${texto} debe indicar x e y, o ninguna de las dos`);
+      }
+      const idx = indices.get(this.#normalizarPalabra(texto.trim().toUpperCase()));
+      const palabra = idx !== undefined ? palabras[idx] : texto.trim().toUpperCase();
+      if (idx === undefined && !normalizar.valida(palabra)) {
+        throw new Error(`La palabra requerida ${texto} no es valida (debe tener al menos 2 letras y solo letras y números, sin espacios si no está en la compilación)`);
+      }
+      if (idx === undefined && pregunta === undefined) {
+        throw new Error(`La palabra requerida ${texto} no está en la compilación, debe indicar su pregunta`);
+      }
+      if (idx !== undefined && grilla.preguntas.has(idx)) {
+        throw new Error(`La palabra requerida ${texto} está repetida`);
+      }
+      const letras = this.#normalizarPalabra(palabra);
+      const posiciones = [];
+      for (let h of horizontal !== undefined ? [horizontal ? 1 : 0] : [1, 0]) {
+        for (let py = y !== undefined ? y : 0; py < (y !== undefined ? y + 1 : this.options.alto); py++) {
+          for (let px = x !== undefined ? x : 0; px < (x !== undefined ? x + 1 : this.options.ancho); px++) {
+            const cruces = this.#crucesPosicion(grilla, letras, px, py, h);
+            if (cruces !== undefined) {
+              posiciones.push({ x: px, y: py, horizontal: h, cruces });
+            }
+          }
+        }
+      }
+      const cruzan = posiciones.filter((posicion) => posicion.cruces > 0);
+      const opciones = cruzan.length > 0 ? cruzan : posiciones;
+      if (this.options.soloConectadas && grilla.preguntasData.length > 0 && cruzan.length === 0 && posiciones.length > 0) {
+        throw new Error(`La palabra requerida ${texto} no cruza ninguna de las palabras requeridas anteriores (con la opción soloConectadas todas deben estar conectadas)`);
+      }
+      if (opciones.length === 0) {
+        const donde = x !== undefined ? ` en x:${x} y:${y}${horizontal !== undefined ? (horizontal ? ' horizontal' : ' vertical') : ''}` : ` en la grilla de ${this.options.ancho}x${this.options.alto}`;
+        throw new Error(`La palabra requerida ${texto} no cabe${donde} (se sale de la grilla, pasa por celdas bloqueadas o choca con otra palabra requerida)`);
+      }
+      const posicion = opciones[Math.floor(this.random() * opciones.length)];
+      const elegida = pregunta !== undefined ? pregunta : this.#elegirPregunta(idx);
+      if (elegida === undefined && this.#preguntasHistorial.size > 0) {
+        throw new Error(`Todas las preguntas de la palabra requerida ${texto} se publicaron en los ultimos ${this.options.diasSinRepetirPregunta} dias (ver la opción historial), debe indicar su pregunta`);
+      }
+      grilla.agregar(
+        {
+          idx,
+          palabra,
+          horizontal: posicion.horizontal,
+          x: posicion.x,
+          y: posicion.y,
+          pregunta: elegida,
+          requerida: true,
+        },
+        letras
+      );
+    }
+  }
+
+  /**Retorna la cantidad de palabras que cruzaría una palabra en una posición de la grilla, o undefined si no cabe: debe estar dentro de la grilla, sin celdas bloqueadas,
+   * con las celdas de antes y despues vacías, sin superponerse a otra palabra en la misma dirección y sin tocar a las palabras que no cruza */
+  #crucesPosicion(grilla, letras, x, y, horizontal) {
+    const largo = letras.length;
+    if ((horizontal ? x + largo : y + largo) > (horizontal ? this.options.ancho : this.options.alto)) {
+      return undefined;
+    }
+    if (horizontal ? !grilla.vacia(x - 1, y) || !grilla.vacia(x + largo, y) : !grilla.vacia(x, y - 1) || !grilla.vacia(x, y + largo)) {
+      return undefined;
+    }
+    let cruces = 0;
+    for (let i = 0; i < largo; i++) {
+      const [cx, cy] = horizontal ? [x + i, y] : [x, y + i];
+      if (this.#bloqueada(cx, cy) || grilla.palabraEn(cx, cy, horizontal) !== -1) {
+        return undefined;
+      }
+      if (!grilla.vacia(cx, cy)) {
+        if (grilla.letra(cx, cy) !== letras[i]) {
+          return undefined;
+        }
+        cruces++;
+      } else if (horizontal ? !grilla.vacia(cx, cy - 1) || !grilla.vacia(cx, cy + 1) : !grilla.vacia(cx - 1, cy) || !grilla.vacia(cx + 1, cy)) {
+        return undefined;
+      }
+    }
+    return cruces;
+  }
+
+  /**Elige una palabra que se puede quitar o mover (no requerida), por torneo: de dos palabras al azar, la que tiene menos cruces.
+   * Retorna undefined si no hay */
+  #elegirPalabraMutable(grilla) {
+    const candidatas = grilla.preguntasData.filter((pregunta) => !pregunta.requerida);
+    if (candidatas.length === 0) {
+      return undefined;
+    }
+    const a = candidatas[Math.floor(this.random() * candidatas.length)];
+    const b = candidatas[Math.floor(this.random() * candidatas.length)];
+    const { crucesPalabra, preguntasData } = grilla;
+    return crucesPalabra[preguntasData.indexOf(b)] < crucesPalabra[preguntasData.indexOf(a)] ? b : a;
+  }
+
+  /**Mutación: quita una palabra de la grilla (de preferencia una con pocos cruces) */
+  #quitarPalabra(grilla) {
+    const pregunta = this.#elegirPalabraMutable(grilla);
+    if (pregunta !== undefined) {
+      grilla.quitar(pregunta);
+      grilla.finish = false;
+    }
+  }
+
+  /**Mutación: mueve una palabra de la grilla (de preferencia una con pocos cruces) a otra posición al azar donde cruce otras palabras.
+   * Si no hay otra posición la palabra queda donde estaba */
+  #moverPalabra(grilla) {
+    const pregunta = this.#elegirPalabraMutable(grilla);
+    if (pregunta === undefined) {
+      return;
+    }
+    const letras = this.#normalizarPalabra(pregunta.palabra);
+    grilla.quitar(pregunta);
+    const posiciones = [];
+    for (let horizontal of [1, 0]) {
+      for (let y = 0; y < this.options.alto; y++) {
+        for (let x = 0; x < this.options.ancho; x++) {
+          if ((x !== pregunta.x || y !== pregunta.y || horizontal !== pregunta.horizontal) && this.#crucesPosicion(grilla, letras, x, y, horizontal) > 0) {
+            posiciones.push({ x, y, horizontal });
+          }
+        }
+      }
+    }
+    const posicion = posiciones.length > 0 ? posiciones[Math.floor(this.random() * posiciones.length)] : pregunta;
+    grilla.agregar({ ...pregunta, x: posicion.x, y: posicion.y, horizontal: posicion.horizontal }, letras);
+    if (posicion !== pregunta) {
+      grilla.finish = false;
+    }
+  }
+
+  /**Cruce por regiones: corta la grilla en dos regiones con una linea vertical u horizontal al azar. El hijo tiene las palabras requeridas,
+   * las palabras del primer padre que comienzan en la primera región y las del segundo padre que comienzan en la segunda, si son compatibles
+   * (caben sin superponerse ni tocar a las otras palabras y no están repetidas) */
+  #cruzar(padre1, padre2) {
+    const hijo = this.#grillaVacia();
+    hijo.borde = padre1.borde || padre2.borde;
+    const vertical = this.random() < 0.5;
+    const corte = 1 + Math.floor(this.random() * ((vertical ? this.options.ancho : this.options.alto) - 1));
+    const enPrimera = (pregunta) => (vertical ? pregunta.x : pregunta.y) < corte;
+    const candidatas = [
+      ...padre1.preguntasData.filter((pregunta) => pregunta.requerida),
+      ...padre1.preguntasData.filter((pregunta) => !pregunta.requerida && enPrimera(pregunta)),
+      ...padre2.preguntasData.filter((pregunta) => !pregunta.requerida && !enPrimera(pregunta)),
+    ];
+    const palabras = new Set();
+    for (let pregunta of candidatas) {
+      const letras = this.#normalizarPalabra(pregunta.palabra);
+      if (palabras.has(pregunta.palabra) || (!pregunta.requerida && this.#crucesPosicion(hijo, letras, pregunta.x, pregunta.y, pregunta.horizontal) === undefined)) {
+        continue;
+      }
+      hijo.agregar({ ...pregunta }, letras);
+      palabras.add(pregunta.palabra);
+    }
+    return hijo;
   }
 
   /** Sobreescribe las opciones */
@@ -596,6 +1625,86 @@ class ConwordsGenerator {
       ...this.options,
       ...options,
     };
+    this.#metadatosPermitidos = [];
+    this.#cuotasPorMeta = [];
+    this.#bloqueadas = null;
+    if (this.options.mascara) {
+      const { ancho, alto, bloqueadas } = leerMascara(this.options.mascara);
+      this.options.ancho = ancho;
+      this.options.alto = alto;
+      this.#bloqueadas = bloqueadas;
+    }
+  }
+
+  /**Celdas bloqueadas por la máscara (matriz de booleanos), o null si no hay máscara */
+  #bloqueadas = null;
+
+  /**Indica si la celda x,y está bloqueada por la máscara */
+  #bloqueada(x, y) {
+    return this.#bloqueadas !== null && this.#bloqueadas[y][x];
+  }
+
+  /**Retorna la cantidad de celdas que se pueden usar (las que no están bloqueadas por la máscara) */
+  #celdasUsables() {
+    if (this.#bloqueadas === null) {
+      return this.options.ancho * this.options.alto;
+    }
+    return this.#bloqueadas.reduce((total, fila) => total + fila.filter((bloqueada) => !bloqueada).length, 0);
+  }
+
+  /**Valida la grilla de un crucigrama (ver src/validacionGrilla.js): cada secuencia horizontal o vertical de dos o mas letras debe ser una palabra de preguntasData,
+   * las palabras no se pueden superponer en la misma dirección, ni repetir, ni pasar por celdas bloqueadas, y las letras y las marcas de dirección de las celdas
+   * deben coincidir con las palabras. Con la opción validacionEstricta el generador solo entrega matrices validas
+   * @param {*} matriz - Matriz del crucigrama (o array de matrices, se valida la primera)
+   * @returns {Object} - {valida, problemas}, problemas es un array de {motivo, mensaje, x, y, horizontal, palabra}
+   * (motivo es fuera, bloqueada, letra, superpuestas, repetida, marca, sin-palabra o corrida)
+   */
+  validar(matriz) {
+    if (matriz.preguntas === undefined) {
+      matriz = matriz[0];
+    }
+    return validarGrilla(matriz, {
+      ancho: this.options.ancho,
+      alto: this.options.alto,
+      espacioVacio: this.options.espacioVacio,
+      normalizar: (palabra) => this.#normalizarPalabra(palabra),
+      bloqueada: (x, y) => this.#bloqueada(x, y),
+    });
+  }
+
+  /**Registra en el historial las respuestas y preguntas de un crucigrama publicado, para que los proximos crucigramas no las repitan dentro de las ventanas de dias
+   * (ver la opción historial). Cada palabra es un registro {fecha, semilla, respuesta, pregunta}. Si la semilla del crucigrama ya está en el historial no lo vuelve a registrar
+   * @param {*} matriz - Matriz del crucigrama publicado (o array de matrices, se registra la primera)
+   * @param {Date|String} fecha - Dia de publicación (por defecto el de la opción fechaHistorial, o hoy)
+   * @returns {Number} - Cantidad de registros agregados (0 si el crucigrama ya estaba en el historial)
+   */
+  publicar(matriz, fecha = this.options.fechaHistorial || new Date()) {
+    if (!this.options.historial) {
+      throw new Error('Para publicar un crucigrama se debe indicar la opción historial');
+    }
+    if (matriz.preguntas === undefined) {
+      matriz = matriz[0];
+    }
+    const almacen = crearAlmacen(this.options.historial);
+    if (almacen.leer().some((registro) => registro.semilla === this.semilla)) {
+      return 0;
+    }
+    const dia = diaDe(fecha);
+    const { horizontales, verticales } = this.#numerar(matriz);
+    const registros = [...horizontales, ...verticales].map(({ palabra, pregunta }) => ({ fecha: dia, semilla: this.semilla, respuesta: palabra, pregunta }));
+    almacen.agregar(registros);
+    return registros.length;
+  }
+
+  /**Retorna la proporción del crucigrama llenada [0, 1], sobre las celdas que se pueden usar (sin las bloqueadas por la máscara)
+   * @param {*} matriz
+   * @returns {Number}
+   */
+  getPorcentajeLlenado(matriz) {
+    if (matriz.preguntas === undefined) {
+      matriz = matriz[0];
+    }
+    return (matriz.llenado !== undefined ? matriz.llenado : this.#getLlenado(matriz)) / this.#celdasUsables();
   }
 
   #ordenarPreguntas(matrices) {
@@ -621,77 +1730,374 @@ class ConwordsGenerator {
   }
 
   /**
-   * Elimina las palabras que no se cruzan con ninguna otra
-   * @param {*} matrices
-   * @returns {Array}
-   */
-  #palabrasSolas(matrices) {
-    return matrices.map((matriz) => {
-      let solasIdx = new Set();
-      matriz.preguntasData.forEach((pregunta1) => {
-        let subCruces = 0;
-        matriz.preguntasData.forEach((pregunta2) => {
-          if (pregunta1.palabra !== pregunta2.palabra && pregunta1.horizontal !== pregunta2.horizontal) {
-            if (pregunta1.horizontal) {
-              if (pregunta1.x <= pregunta2.x && pregunta1.x + pregunta1.palabra.length > pregunta2.x) {
-                if (pregunta1.y >= pregunta2.y && pregunta1.y < pregunta2.y + pregunta2.palabra.length) {
-                  subCruces++;
-                }
-              }
-            } else {
-              if (pregunta1.y <= pregunta2.y && pregunta1.y + pregunta1.palabra.length > pregunta2.y) {
-                if (pregunta1.x >= pregunta2.x && pregunta1.x < pregunta2.x + pregunta2.palabra.length) {
-                  subCruces++;
-                }
-              }
-            }
-          }
-        });
-        if (subCruces === 0) {
-          solasIdx.add(pregunta1);
-        }
-      });
-      return solasIdx;
-    });
-  }
-  /**
-   *  A partir de un array de soluciones, las evalua y retorna las mejores soluciones (cantidadRetornada)
+   *  A partir de un array de soluciones (grillas o matrices), las evalua y retorna las mejores soluciones (cantidadRetornada) como matrices.
+   *  Con soloConectadas, si ninguna solución es conexa se seleccionan las anteriores (las grillas de las que salieron, en iterar) o se lanza un error
    * */
-  #seleccionarSoluciones(soluciones, cantidadRetornada = this.options.solucionesSeleccionadas) {
-    soluciones.forEach((matriz) => {
-      matriz.hash = this.#hashCode(
-        matriz.preguntasData.reduce((p, c) => {
+  #seleccionarSoluciones(soluciones, cantidadRetornada = this.options.solucionesSeleccionadas, anteriores) {
+    const grillas = soluciones.map((solucion) => (solucion instanceof Grilla ? solucion : this.#aGrilla(solucion)));
+    grillas.forEach((grilla) => {
+      grilla.hash = this.#hashCode(
+        grilla.preguntasData.reduce((p, c) => {
           return p + c.palabra + '_' + c.horizontal + '_' + c.x + '_' + c.y;
         }, '')
       );
-      let cruces = this.#getCruces(matriz);
-      matriz.cruces = cruces[0];
-      matriz.solas = cruces[1];
-      matriz.llenado = this.#getLlenado(matriz);
-      matriz.puntaje = this.options.fnPuntaje(matriz.llenado, matriz.cruces, matriz.solas);
+      //La grilla lleva la cuenta de los cruces, las palabras solas y el llenado
+      const cuotas = this.#cumplimientoCuotas(grilla);
+      grilla.metricas = { llenado: grilla.llenado, cruces: grilla.cruces, solas: grilla.solas, cuotas, ...calcularMetricas(grilla, this.#bloqueadas) };
+      grilla.puntaje = this.options.fnPuntaje(grilla.llenado, grilla.cruces, grilla.solas, cuotas, grilla.metricas);
     });
+    //Con soloConectadas se descartan las desconectadas (una grilla sin palabras tiene 0 componentes). Si ninguna es conexa, lo que puede pasar al quitar,
+    //mover o cruzar palabras, la iteración no avanza: se mantienen las matrices anteriores
+    const conectadas = this.options.soloConectadas ? grillas.filter((grilla) => grilla.metricas.componentes <= 1) : grillas;
+    if (conectadas.length === 0 && grillas.length > 0) {
+      if (anteriores !== undefined) {
+        return this.#seleccionarSoluciones(anteriores, cantidadRetornada);
+      }
+      throw new Error(`Ninguna solución es conexa (opción soloConectadas): la mejor tiene ${Math.min(...grillas.map((grilla) => grilla.metricas.componentes))} grupos de palabras que no se cruzan`);
+    }
     let solucionesNoRepetidasIdx = [];
     let solucionesNoRepetidas = [];
-    soluciones.forEach((matriz) => {
-      if (!solucionesNoRepetidasIdx.includes(matriz.hash)) {
-        solucionesNoRepetidasIdx.push(matriz.hash);
-        solucionesNoRepetidas.push(matriz);
+    conectadas.forEach((grilla) => {
+      if (!solucionesNoRepetidasIdx.includes(grilla.hash)) {
+        solucionesNoRepetidasIdx.push(grilla.hash);
+        solucionesNoRepetidas.push(grilla);
       }
     });
 
     solucionesNoRepetidas.sort((a, b) => b.puntaje - a.puntaje);
-    solucionesNoRepetidas.length = Math.min(solucionesNoRepetidas.length, cantidadRetornada);
 
-    return solucionesNoRepetidas;
+    //Con validacionEstricta se descartan las soluciones que no pasan validar
+    const seleccionadas = [];
+    let invalida;
+    for (let grilla of solucionesNoRepetidas) {
+      if (seleccionadas.length === cantidadRetornada) {
+        break;
+      }
+      const matriz = grilla.aMatriz(this.options.espacioVacio);
+      const validacion = this.options.validacionEstricta ? this.validar(matriz) : undefined;
+      if (validacion === undefined || validacion.valida) {
+        seleccionadas.push(matriz);
+      } else if (invalida === undefined) {
+        invalida = validacion;
+      }
+    }
+    if (seleccionadas.length === 0 && invalida !== undefined) {
+      this.#lanzarInvalida(invalida);
+    }
+    return seleccionadas;
+  }
+
+  /**Con validacionEstricta retorna los textos normalizados de las palabras de la matriz, para no repetir una respuesta con otro indice
+   * (ej: EL y ÉL con el perfil plegado), que validar informa como repetida. Sin validacionEstricta retorna undefined y solo se evita repetir el indice */
+  #textosUsados(matriz) {
+    return this.options.validacionEstricta ? new Set(matriz.preguntasData.map((pregunta) => this.#normalizarPalabra(pregunta.palabra))) : undefined;
+  }
+
+  /**Indica si el texto de la palabra idx está entre los textos usados (ver #textosUsados) */
+  #textoUsado(textos, idx) {
+    return textos !== undefined && textos.has(this.#normalizarPalabra(this.options.compilacion.palabras[idx]));
+  }
+
+  /**Lanza el error de una matriz que no pasa validar (con validacionEstricta) */
+  #lanzarInvalida({ problemas }) {
+    const otros = problemas.length > 1 ? ` (y ${problemas.length - 1} problemas mas)` : '';
+    throw new Error(`Ninguna solución pasó la validación estricta: ${problemas[0].mensaje}${otros}`);
+  }
+
+  /**Elige al azar una de las preguntas de una palabra (una palabra relacionada o una frase del diccionario)
+   * @param {Number} idx - Indice de la palabra en la compilación
+   * @param {Function} random - Generador aleatorio a usar (this.random por defecto)
+   * @param {Object} conteo - Conteo de las cuotas de la matriz (ver #contarCuotas). Si se pasa, solo se eligen preguntas que no superan las cuotas
+   * y se prefieren las que ayudan a cumplir los minimos
+   */
+  #elegirPregunta(idx, random = this.random, conteo) {
+    let opciones = this.#opcionesPregunta(idx);
+    if (conteo !== undefined) {
+      opciones = opciones.filter((opcion) => this.#cuotaPermite(opcion.meta, conteo));
+      const faltantes = opciones.filter((opcion) => this.#cuotaFalta(opcion.meta, conteo));
+      opciones = faltantes.length > 0 ? faltantes : opciones;
+    }
+    const opcion = opciones[Math.floor(random() * opciones.length)];
+    return opcion !== undefined ? opcion.texto : undefined;
+  }
+
+  /**Retorna las preguntas de una palabra que cumplen el filtro, como {texto, meta} (meta es el indice de sus metadatos en la compilación) */
+  #opcionesPregunta(idx) {
+    const { palabras, frases, preguntas } = this.options.compilacion;
+    const grupo = preguntas[idx];
+    if (!grupo) {
+      return [];
+    }
+    const opciones = [];
+    grupo[0].forEach((i, j) => i !== idx && this.#preguntaPermitida(grupo, 0, j) && opciones.push({ texto: palabras[i], meta: grupo.length === 4 ? grupo[2][j] : 0 }));
+    grupo[1].forEach((i, j) => this.#preguntaPermitida(grupo, 1, j) && opciones.push({ texto: frases[i], meta: grupo.length === 4 ? grupo[3][j] : 0 }));
+    if (this.#preguntasHistorial.size > 0) {
+      return opciones.filter((opcion) => !this.#preguntasHistorial.has(clavePregunta(opcion.texto)));
+    }
+    return opciones;
+  }
+
+  /**Indica si la pregunta j de la lista k (0: palabras, 1: frases) del grupo de una palabra cumple el filtro */
+  #preguntaPermitida(grupo, k, j) {
+    if (!this.options.filtro) {
+      return true;
+    }
+    //Los metadatos no cambian en la compilación (solo se agregan), asi que el resultado del filtro se guarda por indice
+    const meta = grupo.length === 4 ? grupo[k + 2][j] : 0;
+    if (this.#metadatosPermitidos[meta] === undefined) {
+      this.#metadatosPermitidos[meta] = cumpleFiltro(this.options.compilacion.metadatos[meta], this.options.filtro);
+    }
+    return this.#metadatosPermitidos[meta];
+  }
+
+  /**Resultado del filtro para cada indice de metadatos de la compilación */
+  #metadatosPermitidos = [];
+
+  /**Indica si una palabra se puede usar: no debe estar excluida por el historial, si es una respuesta con espacios debe estar activa la opción frasesComoRespuestas,
+   * y con el filtro debe tener al menos una pregunta que lo cumpla */
+  #permitida(idx) {
+    if (this.#excluidasHistorial.has(idx)) {
+      return false;
+    }
+    if (!this.options.frasesComoRespuestas && this.options.compilacion.espaciadas[idx] !== undefined) {
+      return false;
+    }
+    if (!this.options.filtro) {
+      return true;
+    }
+    const grupo = this.options.compilacion.preguntas[idx];
+    return grupo !== undefined && (grupo[0].some((i, j) => i !== idx && this.#preguntaPermitida(grupo, 0, j)) || grupo[1].some((i, j) => this.#preguntaPermitida(grupo, 1, j)));
+  }
+
+  /**Consulta del historial de la ultima generación (ver src/historial.js), o null si no hay historial */
+  #historial = null;
+
+  /**Indices de las palabras que el historial no permite usar: las respuestas publicadas dentro de la ventana de dias y las palabras a las que no les queda ninguna pregunta */
+  #excluidasHistorial = new Set();
+
+  /**Claves de las preguntas publicadas dentro de la ventana de dias (ver clavePregunta en src/historial.js) */
+  #preguntasHistorial = new Set();
+
+  /**Consulta el historial para la semilla actual y guarda las palabras y preguntas que no se pueden usar. Sin historial no excluye nada */
+  #consultarHistorial() {
+    this.#historial = null;
+    this.#excluidasHistorial = new Set();
+    this.#preguntasHistorial = new Set();
+    if (!this.options.historial) {
+      return;
+    }
+    this.#historial = consultarHistorial(crearAlmacen(this.options.historial).leer(), {
+      semilla: this.semilla,
+      fecha: this.options.fechaHistorial,
+      diasRespuesta: this.options.diasSinRepetirRespuesta,
+      diasPregunta: this.options.diasSinRepetirPregunta,
+      claveRespuesta: (respuesta) => this.#normalizarPalabra(respuesta.replace(/\s+/g, '')),
+    });
+    const { respuestas, preguntas } = this.#historial;
+    this.#preguntasHistorial = preguntas;
+    if (respuestas.size === 0 && preguntas.size === 0) {
+      return;
+    }
+    //Las respuestas se reconocen por su texto, asi se excluyen todas las palabras que se escriben igual en la grilla (ej: EL y ÉL con el perfil plegado)
+    this.options.compilacion.palabras.forEach((palabra, idx) => {
+      if (respuestas.has(this.#normalizarPalabra(palabra)) || (preguntas.size > 0 && this.#opcionesPregunta(idx).length === 0)) {
+        this.#excluidasHistorial.add(idx);
+      }
+    });
+  }
+
+  /**Retorna la pregunta elegida al ubicar la palabra. Si la matriz no la trae, la elige a partir de la semilla, asi siempre es la misma */
+  #getPregunta(pregunta) {
+    if (pregunta.pregunta !== undefined) {
+      return pregunta.pregunta;
+    }
+    return this.#elegirPregunta(pregunta.idx, generadorAleatorio(this.semilla + '_' + pregunta.idx));
+  }
+
+  /**Numera las celdas donde comienzan las palabras y retorna las preguntas horizontales y verticales con su número.
+   * Es la numeración que comparten todas las salidas del crucigrama (toString, getJSON y getCrucigrama) */
+  #numerar(matriz) {
+    const numeros = Array.from({ length: this.options.alto }).map(() => new Array(this.options.ancho).fill(null));
+    const horizontales = [];
+    const verticales = [];
+    const ordenadas = [...matriz.preguntasData].sort((a, b) => a.y - b.y || a.x - b.x);
+    let numero = 0;
+    for (let pregunta of ordenadas) {
+      if (numeros[pregunta.y][pregunta.x] === null) {
+        numero++;
+        numeros[pregunta.y][pregunta.x] = numero;
+      }
+      const texto = this.#getPregunta(pregunta);
+      //Las respuestas con espacios se muestran con espacios y con su enumeración (el largo de cada palabra)
+      const espaciada = pregunta.idx !== undefined ? this.options.compilacion.espaciadas[pregunta.idx] : undefined;
+      (pregunta.horizontal ? horizontales : verticales).push({
+        numero: numeros[pregunta.y][pregunta.x],
+        palabra: this.#normalizarPalabra(espaciada !== undefined ? espaciada : pregunta.palabra),
+        largo: pregunta.palabra.length,
+        enumeracion: espaciada !== undefined ? espaciada.split(' ').map((parte) => parte.length).join(',') : undefined,
+        x: pregunta.x,
+        y: pregunta.y,
+        pregunta: texto,
+        ...this.#origenPregunta(pregunta.idx, texto),
+      });
+    }
+    return { numeros, horizontales, verticales };
   }
 
-  /**Elimina los acentos */
+  /**Retorna de donde viene la pregunta de una palabra: {diccionario, categoria} (el nombre del diccionario, o su huella si se compiló sin nombre).
+   * Si la pregunta no está en la compilación (ej: se quitó su diccionario) retorna un objeto vacío */
+  #origenPregunta(idx, texto) {
+    const meta = this.#metaPregunta(idx, texto);
+    return meta !== undefined ? this.#origenMeta(meta) : {};
+  }
+
+  /**Retorna el indice de los metadatos de la pregunta de una palabra, o undefined si la pregunta no está en la compilación */
+  #metaPregunta(idx, texto) {
+    const { palabras, frases, preguntas } = this.options.compilacion;
+    const grupo = idx !== undefined ? preguntas[idx] : undefined;
+    if (grupo === undefined || texto === undefined || grupo.length < 4) {
+      return undefined;
+    }
+    for (let [k, textos] of [
+      [0, palabras],
+      [1, frases],
+    ]) {
+      const j = grupo[k].findIndex((i) => textos[i] === texto);
+      if (j !== -1) {
+        return grupo[k + 2][j];
+      }
+    }
+    return undefined;
+  }
+
+  /**Retorna el diccionario (nombre o huella) y la categoria de unos metadatos de la compilación */
+  #origenMeta(meta) {
+    const { diccionario: huella, categoria } = this.options.compilacion.metadatos[meta] || {};
+    const descripcion = this.options.compilacion.diccionarios.find((descripcion) => descripcion.huella === huella);
+    return { diccionario: descripcion && descripcion.nombre !== undefined ? descripcion.nombre : huella, categoria };
+  }
+
+  /**Retorna las cuotas que afectan a una pregunta segun sus metadatos, como [tipo, clave, cuota] (tipo es 'diccionarios' o 'categorias').
+   * Las cuotas de diccionarios pueden usar el nombre o la huella del diccionario */
+  #cuotasMeta(meta) {
+    if (this.#cuotasPorMeta[meta] === undefined) {
+      const { diccionarios = {}, categorias = {} } = this.options.cuotas;
+      const { diccionario: huella, categoria } = this.options.compilacion.metadatos[meta] || {};
+      const { diccionario: nombre } = this.#origenMeta(meta);
+      const cuotas = [];
+      for (let clave of new Set([nombre, huella])) {
+        if (clave !== undefined && diccionarios[clave] !== undefined) {
+          cuotas.push(['diccionarios', clave, diccionarios[clave]]);
+        }
+      }
+      if (categoria !== undefined && categorias[categoria] !== undefined) {
+        cuotas.push(['categorias', categoria, categorias[categoria]]);
+      }
+      this.#cuotasPorMeta[meta] = cuotas;
+    }
+    return this.#cuotasPorMeta[meta];
+  }
+
+  /**Cuotas que afectan a cada indice de metadatos de la compilación */
+  #cuotasPorMeta = [];
+
+  /**Cuenta las preguntas de una matriz por cada cuota (ver options.cuotas)
+   * @returns {Object} - {total, diccionarios, categorias, faltan}: total de preguntas, Map con la cantidad por clave de cada tipo de cuota,
+   * y si alguna cuota aun no cumple su minimo o su proporción
+   */
+  #contarCuotas(matriz) {
+    const conteo = { total: matriz.preguntasData.length, diccionarios: new Map(), categorias: new Map(), faltan: false };
+    for (let pregunta of matriz.preguntasData) {
+      const meta = this.#metaPregunta(pregunta.idx, pregunta.pregunta);
+      if (meta !== undefined) {
+        for (let [tipo, clave] of this.#cuotasMeta(meta)) {
+          conteo[tipo].set(clave, (conteo[tipo].get(clave) || 0) + 1);
+        }
+      }
+    }
+    for (let tipo of ['diccionarios', 'categorias']) {
+      for (let [clave, cuota] of Object.entries(this.options.cuotas[tipo] || {})) {
+        conteo.faltan = conteo.faltan || this.#faltaCuota(cuota, conteo[tipo].get(clave) || 0, conteo.total);
+      }
+    }
+    return conteo;
+  }
+
+  /**Indica si una cuota aun no cumple su minimo o su proporción, es decir, si agregar una pregunta mas ayuda a cumplirla */
+  #faltaCuota(cuota, cantidad, total) {
+    return (cuota.minimo !== undefined && cantidad < cuota.minimo) || (cuota.proporcion !== undefined && cantidad + 1 <= cuota.proporcion * (total + 1));
+  }
+
+  /**Indica si se puede agregar una pregunta con estos metadatos sin superar el maximo ni la proporción de sus cuotas */
+  #cuotaPermite(meta, conteo) {
+    return this.#cuotasMeta(meta).every(([tipo, clave, cuota]) => {
+      const cantidad = (conteo[tipo].get(clave) || 0) + 1;
+      return (cuota.maximo === undefined || cantidad <= cuota.maximo) && (cuota.proporcion === undefined || cantidad <= Math.max(1, Math.ceil(cuota.proporcion * (conteo.total + 1))));
+    });
+  }
+
+  /**Indica si agregar una pregunta con estos metadatos ayuda a cumplir alguna cuota */
+  #cuotaFalta(meta, conteo) {
+    return this.#cuotasMeta(meta).some(([tipo, clave, cuota]) => this.#faltaCuota(cuota, conteo[tipo].get(clave) || 0, conteo.total));
+  }
+
+  /**Indica si una palabra se puede ubicar respetando las cuotas: debe tener alguna pregunta que no las supere.
+   * Con preferirFaltantes, mientras haya cuotas sin cumplir, la pregunta ademas debe ayudar a cumplir alguna */
+  #aceptaCuotas(idx, conteo, preferirFaltantes) {
+    const metas = this.#opcionesPregunta(idx)
+      .map((opcion) => opcion.meta)
+      .filter((meta) => this.#cuotaPermite(meta, conteo));
+    return metas.length > 0 && (!preferirFaltantes || !conteo.faltan || metas.some((meta) => this.#cuotaFalta(meta, conteo)));
+  }
+
+  /**Retorna cuanto cumple una matriz las cuotas, entre 0 (nada) y 1 (todas se cumplen, o no hay cuotas).
+   * Es el promedio del cumplimiento de cada minimo, maximo y proporción */
+  #cumplimientoCuotas(matriz) {
+    if (!this.options.cuotas) {
+      return 1;
+    }
+    const conteo = this.#contarCuotas(matriz);
+    const cumplimientos = [];
+    for (let tipo of ['diccionarios', 'categorias']) {
+      for (let [clave, cuota] of Object.entries(this.options.cuotas[tipo] || {})) {
+        const cantidad = conteo[tipo].get(clave) || 0;
+        if (cuota.minimo !== undefined) {
+          cumplimientos.push(cuota.minimo > 0 ? Math.min(1, cantidad / cuota.minimo) : 1);
+        }
+        if (cuota.maximo !== undefined) {
+          cumplimientos.push(cantidad <= cuota.maximo ? 1 : cuota.maximo / cantidad);
+        }
+        if (cuota.proporcion !== undefined) {
+          cumplimientos.push(cuota.proporcion <= 0 ? 1 : conteo.total > 0 ? Math.min(1, cantidad / conteo.total / cuota.proporcion) : 0);
+        }
+      }
+    }
+    return cumplimientos.length > 0 ? cumplimientos.reduce((suma, cumplimiento) => suma + cumplimiento, 0) / cumplimientos.length : 1;
+  }
+
+  /**Retorna las opciones que se pueden imprimir en el RESUMEN (sin la compilación ni funciones). El historial solo se incluye si es la ruta de un archivo */
+  #opcionesSerializables() {
+    const opciones = {};
+    for (let [key, value] of Object.entries(this.options)) {
+      if (key !== 'compilacion' && typeof value !== 'function' && (key !== 'historial' || value === null || typeof value === 'string')) {
+        opciones[key] = value;
+      }
+    }
+    return opciones;
+  }
+
+  /**Normaliza una letra con el perfil de normalización de la compilación (ej: con el perfil plegado elimina los acentos) */
   #normalizarLetra(letra) {
-    return letra.replace('á', 'a').replace('é', 'e').replace('í', 'i').replace('ó', 'o').replace('ú', 'u').replace('ü', 'u');
+    return normalizador(this.options.compilacion.normalizacion).letra(letra);
+  }
+
+  /**Normaliza una palabra con el perfil de normalización de la compilación (es como se escribe en la grilla y en las salidas) */
+  #normalizarPalabra(palabra) {
+    return normalizador(this.options.compilacion.normalizacion).palabra(palabra);
   }
 
   /**Metodo privado que genera una semilla aleatoria, indicando otra semilla y el largo de la semilla*/
-  #generateSerial(random = seed(), serialLength) {
+  #generateSerial(random = generadorAleatorio(), serialLength) {
     const TAMAÑO_SEMILLA_X_DEFECTO = 8;
     const CARACTERES_SEMILLA = '1234567890ABCDEFGHIJKLMNOPQRSTUVWXYZ';
     serialLength = serialLength || TAMAÑO_SEMILLA_X_DEFECTO;
@@ -731,8 +2137,7 @@ class ConwordsGenerator {
           Math.floor(this.random() * Math.min(horizontal === 1 ? this.options.ancho : this.options.alto, this.options.compilacion.largos.length))
         );
 
-        let palabras = this.options.compilacion.largos[largo];
-        palabras = palabras.filter((palabra) => this.ignored.has(palabra) === false);
+        let palabras = this.#permitidasDeLargo(largo);
 
         let x,
           y,
@@ -757,68 +2162,56 @@ class ConwordsGenerator {
 
         if (
           //falla si al inicio o al final de la palabra esta ocupado
-          (horizontal && x > 0 && matrizClon[y][x - 1][0] !== this.options.espacioVacio) ||
-          (horizontal && x < this.options.ancho - largo && matrizClon[y][x + largo][0] !== this.options.espacioVacio) ||
-          (!horizontal && y > 0 && matrizClon[y - 1][x][0] !== this.options.espacioVacio) ||
-          (!horizontal && y < this.options.alto - largo && matrizClon[y + largo][x][0] !== this.options.espacioVacio)
+          (horizontal && (!matrizClon.vacia(x - 1, y) || !matrizClon.vacia(x + largo, y))) ||
+          (!horizontal && (!matrizClon.vacia(x, y - 1) || !matrizClon.vacia(x, y + largo)))
         ) {
           ok = false;
         }
+        //falla si alguna celda de la palabra está bloqueada por la máscara
+        for (let i = 0; ok && this.#bloqueadas !== null && i < largo; i++) {
+          if (horizontal ? this.#bloqueada(x + i, y) : this.#bloqueada(x, y + i)) {
+            ok = false;
+          }
+        }
+        //Palabras de las celdas vecinas y palabras que se cruzan (su posición en preguntasData)
         let vecinoAdjacente = new Set();
         let vecinoCruce = new Set();
+        const agregarPalabras = (vecinos, x, y) => {
+          for (let k of [matrizClon.palabraEn(x, y, 1), matrizClon.palabraEn(x, y, 0)]) {
+            if (k !== -1) {
+              vecinos.add(k);
+            }
+          }
+        };
         if (ok) {
-          //recorre las filas
+          //recorre las celdas de la palabra
           for (let i = 0; i < largo; i++) {
-            //falla: si la palabra es horizontal e intersecta con otra palabra horizontal
-            if (horizontal && matrizClon[y][x + i][1 + horizontal]) {
+            const cx = horizontal ? x + i : x;
+            const cy = horizontal ? y : y + i;
+            //falla: si intersecta con otra palabra en la misma dirección
+            if (matrizClon.palabraEn(cx, cy, horizontal) !== -1) {
               ok = false;
               break;
             }
-            //falla: si la palabra es vertical e intersecta con otra palabra vertical
-            if (!horizontal && matrizClon[y + i][x][1 + horizontal]) {
-              ok = false;
-              break;
-            }
-            if (ok) {
-              let match;
-              if (horizontal) {
-                if (y > 0) {
-                  match = this.#getPreguntasPorPosicion(matrizClon, x + i, y - 1);
-                  match.forEach((p) => {
-                    vecinoAdjacente.add(p.idx);
-                  });
-                }
-                if (y < this.options.alto - 1) {
-                  match = this.#getPreguntasPorPosicion(matrizClon, x + i, y + 1);
-                  match.forEach((p) => {
-                    vecinoAdjacente.add(p.idx);
-                  });
-                }
-                match = this.#getPreguntasPorPosicion(matrizClon, x + i, y);
-                match.forEach((p) => vecinoCruce.add(p.idx));
-              } else {
-                if (x > 0) {
-                  match = this.#getPreguntasPorPosicion(matrizClon, x - 1, y + i);
-                  match.forEach((p) => {
-                    vecinoAdjacente.add(p.idx);
-                  });
-                }
-                if (x < this.options.ancho - 1) {
-                  match = this.#getPreguntasPorPosicion(matrizClon, x + 1, y + i);
-                  match.forEach((p) => {
-                    vecinoAdjacente.add(p.idx);
-                  });
-                }
-                match = this.#getPreguntasPorPosicion(matrizClon, x, y + i);
-                match.forEach((p) => vecinoCruce.add(p.idx));
+            if (horizontal) {
+              if (y > 0) {
+                agregarPalabras(vecinoAdjacente, cx, y - 1);
+              }
+              if (y < this.options.alto - 1) {
+                agregarPalabras(vecinoAdjacente, cx, y + 1);
               }
-              if (horizontal && matrizClon[y][x + i][0] !== this.options.espacioVacio) {
-                matches.push('' + i + matrizClon[y][x + i][0]);
+            } else {
+              if (x > 0) {
+                agregarPalabras(vecinoAdjacente, x - 1, cy);
               }
-              if (!horizontal && matrizClon[y + i][x][0] !== this.options.espacioVacio) {
-                matches.push('' + i + matrizClon[y + i][x][0]);
+              if (x < this.options.ancho - 1) {
+                agregarPalabras(vecinoAdjacente, x + 1, cy);
               }
             }
+            agregarPalabras(vecinoCruce, cx, cy);
+            if (!matrizClon.vacia(cx, cy)) {
+              matches.push('' + i + matrizClon.letra(cx, cy));
+            }
           }
         }
         if ([...vecinoAdjacente].filter((m) => !vecinoCruce.has(m)).length > 0) {
@@ -832,7 +2225,7 @@ class ConwordsGenerator {
               let ok = true;
               for (let match of matches) {
                 let palabrasMatch = this.options.compilacion.letras[match];
-                if (palabrasMatch === undefined || (palabrasMatch !== undefined && !palabrasMatch.includes(palabra))) {
+                if (palabrasMatch === undefined || !palabrasMatch.has(palabra)) {
                   ok = false;
                   break;
                 }
@@ -842,13 +2235,22 @@ class ConwordsGenerator {
               }
             });
             palabras = _palabras;
-          } else if (this.options.palabrasEnBorde && matrizClon.borde) {
+          } else if ((this.options.soloConectadas || (this.options.palabrasEnBorde && matrizClon.borde)) && matrizClon.preguntasData.length > 0) {
+            //despues de los bordes (o siempre, con soloConectadas) las palabras deben cruzarse con otra (salvo la primera, si no se ubicó ninguna en los bordes)
             ok = false;
           }
           if (ok && palabras.length > 0) {
             let idx = undefined;
             let count = 0;
-            while (idx === undefined || matrizClon.preguntas.has(idx)) {
+            const conteo = this.options.cuotas ? this.#contarCuotas(matrizClon) : undefined;
+            const textos = this.#textosUsados(matrizClon);
+            //Con cuotas, la palabra debe tener una pregunta que no las supere, y en los primeros intentos una que ayude a cumplirlas
+            while (
+              idx === undefined ||
+              matrizClon.preguntas.has(idx) ||
+              this.#textoUsado(textos, idx) ||
+              (conteo !== undefined && !this.#aceptaCuotas(idx, conteo, count < 50))
+            ) {
               idx = palabras[Math.floor(this.random() * palabras.length)];
               count++;
               if (count === 100) {
@@ -858,21 +2260,7 @@ class ConwordsGenerator {
             }
             if (ok) {
               let palabra = this.options.compilacion.palabras[idx];
-
-              for (let i = 0; i < largo; i++) {
-                let letra = this.#normalizarLetra(palabra.charAt(i));
-                if (horizontal) {
-                  matrizClon[y][x + i][0] = letra;
-                  matrizClon[y][x + i][1 + horizontal] = true;
-                }
-                if (!horizontal) {
-                  matrizClon[y + i][x][0] = letra;
-                  matrizClon[y + i][x][1 + horizontal] = true;
-                }
-              }
-
-              matrizClon.preguntas.add(idx);
-              matrizClon.preguntasData.push({ idx, palabra, horizontal, x, y });
+              matrizClon.agregar({ idx, palabra, horizontal, x, y, pregunta: this.#elegirPregunta(idx, this.random, conteo) }, this.#normalizarPalabra(palabra));
               if (this.options.palabrasEnBorde && !matrizClon.borde) {
                 let total = (this.options.ancho + this.options.alto) * 2;
                 let llevo = matrizClon.preguntasData.map((p) => p.palabra).join('').length;
@@ -897,66 +2285,33 @@ class ConwordsGenerator {
     return hash;
   }
 
+  /**Palabras que se pueden ubicar de cada largo en la iteración actual (ver #permitidasDeLargo) */
+  #permitidasPorLargo = new Map();
+
+  /**Retorna las palabras de un largo que se pueden ubicar (no ignoradas y permitidas por los filtros).
+   * Se guardan durante cada iteración, porque #generarPregunta las pide en cada intento */
+  #permitidasDeLargo(largo) {
+    let palabras = this.#permitidasPorLargo.get(largo);
+    if (palabras === undefined) {
+      palabras = this.options.compilacion.largos[largo].filter((palabra) => this.ignored.has(palabra) === false && this.#permitida(palabra));
+      this.#permitidasPorLargo.set(largo, palabras);
+    }
+    return palabras;
+  }
+
   /**Retorna los espacios llenados del crucigrama */
   #getLlenado(matriz) {
     return Math.trunc(
       Math.trunc(
-        matriz.reduce((acc, fila) => {
-          let length = fila.filter((x) => {
-            return x[0] !== this.options.espacioVacio;
+        matriz.reduce((acc, fila, y) => {
+          let length = fila.filter((celda, x) => {
+            return celda[0] !== this.options.espacioVacio && !this.#bloqueada(x, y);
           }).length;
           return acc + length;
         }, 0)
       )
     );
   }
-
-  /**Retorna la cantidad de cruces del crucigrama y la contidad de preguntas solas */
-  #getCruces(matriz) {
-    let cruces = 0;
-    let solas = 0;
-    matriz.solasIdx = new Set();
-    matriz.preguntasData.forEach((pregunta1) => {
-      let subCruces = 0;
-      matriz.preguntasData.forEach((pregunta2) => {
-        if (pregunta1.palabra !== pregunta2.palabra && pregunta1.horizontal !== pregunta2.horizontal) {
-          if (pregunta1.horizontal) {
-            if (pregunta1.x <= pregunta2.x && pregunta1.x + pregunta1.palabra.length > pregunta2.x) {
-              if (pregunta1.y >= pregunta2.y && pregunta1.y < pregunta2.y + pregunta2.palabra.length) {
-                subCruces++;
-              }
-            }
-          } else {
-            if (pregunta1.y <= pregunta2.y && pregunta1.y + pregunta1.palabra.length > pregunta2.y) {
-              if (pregunta1.x >= pregunta2.x && pregunta1.x < pregunta2.x + pregunta2.palabra.length) {
-                subCruces++;
-              }
-            }
-          }
-        }
-      });
-      if (subCruces === 0) {
-        solas++;
-        matriz.solasIdx.add(pregunta1);
-      }
-      cruces += subCruces;
-    });
-    return [cruces, solas];
-  }
-
-  /**Retorna las preguntas en una cordenada */
-  #getPreguntasPorPosicion(matriz, x, y) {
-    let found = [];
-    matriz.preguntasData.forEach((pregunta, idx) => {
-      if (
-        (pregunta.horizontal && pregunta.x <= x && pregunta.x + pregunta.palabra.length > x && pregunta.y === y) || //
-        (!pregunta.horizontal && pregunta.y <= y && pregunta.y + pregunta.palabra.length > y && pregunta.x === x)
-      ) {
-        found.push(pregunta);
-      }
-    });
-    return found;
-  }
 }
 
 module.exports = ConwordsGenerator;
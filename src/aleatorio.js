@@ -0,0 +1,92 @@
+/**Generador aleatorio con semilla del crucigrama.
+ * Genera exactamente los mismos números que math-random-seed (cada número son los primeros 4 bytes del SHA-256 del anterior, empezando por el SHA-256 de la semilla),
+ * asi las semillas de siempre reproducen los mismos crucigramas. Como despues del primero cada hash es de 32 bytes, el SHA-256 de un solo bloque se calcula aqui,
+ * sin crear un Hash y un Buffer de node por número (era cerca de un tercio del tiempo de cada iteración).
+ * A diferencia de math-random-seed, la semilla vacía ('') no se reemplaza por una al azar: genera siempre los mismos números (los del SHA-256 de '').
+ */
+const crypto = require('crypto');
+
+/**Constantes de las rondas del SHA-256 */
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da, 0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**Valores iniciales del SHA-256 */
+const H = new Int32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+
+/**Crea un generador aleatorio
+ * @param {String|Buffer} semilla - Semilla del generador (32 bytes al azar por defecto)
+ * @returns {Function} - Función que retorna un número en [0, 1), como Math.random
+ */
+function generadorAleatorio(semilla = crypto.randomBytes(32)) {
+  //Hash actual (8 enteros de 32 bits) y palabras del bloque que se comprime
+  const hash = new Int32Array(8);
+  const w = new Int32Array(64);
+  let inicial = true;
+
+  /**Reemplaza el hash por el SHA-256 de sus 32 bytes */
+  const siguiente = () => {
+    if (inicial) {
+      const digest = crypto.createHash('sha256').update(semilla).digest();
+      for (let i = 0; i < 8; i++) {
+        hash[i] = digest.readInt32BE(i * 4);
+      }
+      inicial = false;
+      return;
+    }
+    //El bloque son los 32 bytes del hash, el bit de relleno y el largo del mensaje (256 bits)
+    for (let i = 0; i < 8; i++) {
+      w[i] = hash[i];
+    }
+    w.fill(0, 8, 15);
+    w[8] = 0x80000000;
+    w[15] = 256;
+    for (let i = 16; i < 64; i++) {
+      const a = w[i - 15];
+      const b = w[i - 2];
+      const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+      const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let a = H[0],
+      b = H[1],
+      c = H[2],
+      d = H[3],
+      e = H[4],
+      f = H[5],
+      g = H[6],
+      h = H[7];
+    for (let i = 0; i < 64; i++) {
+      const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    hash[0] = (a + H[0]) | 0;
+    hash[1] = (b + H[1]) | 0;
+    hash[2] = (c + H[2]) | 0;
+    hash[3] = (d + H[3]) | 0;
+    hash[4] = (e + H[4]) | 0;
+    hash[5] = (f + H[5]) | 0;
+    hash[6] = (g + H[6]) | 0;
+    hash[7] = (h + H[7]) | 0;
+  };
+
+  return () => {
+    siguiente();
+    return (hash[0] >>> 0) / 0x100000000;
+  };
+}
+
+module.exports = { generadorAleatorio };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const ConwordsGenerator = require('./ConwordsGenerator.js');
+
+/**
+ * //descripción del benchmark:
+ *
+ * Compara el compilador actual (indices en Map y Set) con el compilador anterior (busquedas con indexOf e includes)
+ * usando los diccionarios incluidos, y verifica que ambos generen la misma compilación.
+ *
+ * Uso: node src/benchmark.js [diccionario...] [--sin-anterior]
+ * (sin diccionarios usa todos los incluidos, con --sin-anterior solo mide el compilador actual)
+ */
+
+const CARPETA_DICCIONARIOS = path.join(__dirname, 'diccionarios');
+
+/**Compilador anterior: igual a la versión 1 de compilar, que buscaba cada palabra en los arrays (tiempo cuadratico) */
+function compilarAnterior(diccionarios) {
+  const data = diccionarios.flatMap((d) => d);
+  const palabras = [];
+  const frases = [];
+  const mapaGrupos = new Map();
+  let p0 = 0;
+  for (let linea of data) {
+    //El progreso se calculaba buscando la linea en el array
+    let percent = Math.round((data.indexOf(linea) / data.length) * 100);
+    if (p0 !== percent) {
+      p0 = percent;
+    }
+    const set1 = [];
+    const set2 = [];
+    const idxMap = new Map();
+    linea.forEach((item) => {
+      if (item.length > 1) {
+        const lista = item.match(/\s+/) === null ? palabras : frases;
+        (lista === palabras ? set1 : set2).push(item);
+        let idx = lista.indexOf(item);
+        if (idx === -1) {
+          idx = lista.push(item) - 1;
+        }
+        idxMap.set(item, idx);
+      }
+    });
+    if (set1.length > 0 && set1.length + set2.length > 1) {
+      set1.forEach((item) => {
+        const grupoItem = mapaGrupos.get(idxMap.get(item)) || [[], []];
+        set1.forEach((item2) => item !== item2 && grupoItem[0].push(idxMap.get(item2)));
+        set2.forEach((item2) => grupoItem[1].push(idxMap.get(item2)));
+        mapaGrupos.set(idxMap.get(item), grupoItem);
+      });
+    }
+  }
+  const letras = {};
+  const largos = [];
+  const preguntas = palabras.map((palabra, idx) => mapaGrupos.get(idx));
+  palabras.forEach((palabra, idx) => {
+    const match = palabra.match(/[A-Z0-9ÁÉÍÓÚÜÑ]+/);
+    if (match !== null && match[0] === palabra) {
+      for (let i = largos.length; i <= palabra.length; i++) {
+        largos[i] = [];
+      }
+      largos[palabra.length].push(idx);
+      for (let i = 0; i < palabra.length; i++) {
+        (letras['' + i + palabra[i]] = letras['' + i + palabra[i]] || []).push(idx);
+      }
+    }
+  });
+  return { palabras, letras, largos, frases, preguntas };
+}
+
+/**Filtra las palabras de cada largo por la primera y la ultima letra, como lo hace completar, y retorna la cantidad encontrada */
+function buscarPalabras(compilacion, contiene) {
+  let encontradas = 0;
+  compilacion.largos.forEach((palabras, largo) => {
+    for (let letra of 'AEIOUSRN') {
+      const inicio = compilacion.letras['0' + letra];
+      const fin = compilacion.letras['' + (largo - 1) + letra];
+      if (inicio !== undefined && fin !== undefined) {
+        encontradas += palabras.filter((p) => contiene(inicio, p) && contiene(fin, p)).length;
+      }
+    }
+  });
+  return encontradas;
+}
+
+/**Mide el tiempo de una función en milisegundos */
+async function medir(fn) {
+  const inicio = process.hrtime.bigint();
+  const resultado = await fn();
+  return { resultado, ms: Number(process.hrtime.bigint() - inicio) / 1e6 };
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const sinAnterior = args.includes('--sin-anterior');
+  let nombres = args.filter((arg) => !arg.startsWith('--'));
+  if (nombres.length === 0) {
+    nombres = fs
+      .readdirSync(CARPETA_DICCIONARIOS)
+      .filter((archivo) => archivo.endsWith('.json'))
+      .map((archivo) => archivo.replace(/\.json$/, ''))
+      .sort();
+  }
+  const diccionarios = nombres.map((nombre) => require(path.join(CARPETA_DICCIONARIOS, nombre + '.json')));
+  console.log(`Diccionarios: ${nombres.length} (${diccionarios.reduce((total, d) => total + d.length, 0)} entradas)`);
+
+  //El compilador anterior indexaba las letras sin normalizar, que es el perfil estricto
+  const actual = await medir(() => ConwordsGenerator.compilar(diccionarios, undefined, [], 'estricto'));
+  console.log(`Compilador actual:   ${actual.ms.toFixed(0)} ms (${actual.resultado.palabras.length} palabras, ${actual.resultado.frases.length} frases)`);
+  const busquedaActual = await medir(() => buscarPalabras(actual.resultado, (set, p) => set.has(p)));
+  console.log(`Busqueda por letras (Set.has):          ${busquedaActual.ms.toFixed(0)} ms`);
+  if (sinAnterior) {
+    return;
+  }
+
+  const anterior = await medir(() => compilarAnterior(diccionarios));
+  console.log(`Compilador anterior: ${anterior.ms.toFixed(0)} ms (${(anterior.ms / actual.ms).toFixed(1)} veces mas lento)`);
+  const busquedaAnterior = await medir(() => buscarPalabras(anterior.resultado, (array, p) => array.includes(p)));
+  console.log(`Busqueda por letras (Array.includes):   ${busquedaAnterior.ms.toFixed(0)} ms (${(busquedaAnterior.ms / busquedaActual.ms).toFixed(1)} veces mas lento)`);
+
+  //Verifica que ambos compiladores generen la misma compilación
+  const { palabras, letras, largos, frases, preguntas } = actual.resultado;
+  const letrasArrays = Object.fromEntries(Object.entries(letras).map(([letra, idxs]) => [letra, [...idxs]]));
+  //El compilador actual agrega a cada grupo de preguntas los metadatos de cada pregunta (grupo[2] y grupo[3])
+  const preguntasSinMetadatos = preguntas.map((grupo) => grupo && grupo.slice(0, 2));
+  const iguales = JSON.stringify({ palabras, letras: letrasArrays, largos, frases, preguntas: preguntasSinMetadatos }) === JSON.stringify(anterior.resultado);
+  console.log(`Compilaciones equivalentes: ${iguales ? 'SI' : 'NO'}`);
+  if (!iguales || busquedaActual.resultado !== busquedaAnterior.resultado) {
+    process.exitCode = 1;
+  }
+})();
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const path = require('path');
+const Module = require('module');
+const { execFileSync } = require('child_process');
+const ConwordsGenerator = require('./ConwordsGenerator.js');
+
+/**
+ * //descripción del benchmark:
+ *
+ * Compara las iteraciones actuales del generador (sobre la grilla de arrays tipados de src/grilla.js) con las del generador original del repositorio
+ * (commit bf11b22, que se lee con git), que iteraba sobre la matriz de celdas [letra, vertical, horizontal]: clonaba la matriz completa en cada solución,
+ * recorría todas las palabras para saber cuales pasaban por una celda y para contar los cruces, y calculaba cada número aleatorio con un Hash de node.
+ * Mide ambos en una grilla de 36x36 (60 iteraciones y luego completar, con la semilla BENCH, los diccionarios de informática y las opciones por defecto de cada versión).
+ * Los crucigramas no son iguales, porque desde esa versión cambiaron la normalización, el puntaje y la ubicación de las palabras.
+ *
+ * Uso: node src/benchmarkIteraciones.js [iteraciones] [--sin-anterior]
+ * (con --sin-anterior solo mide las iteraciones actuales, no necesita git)
+ */
+
+const CARPETA_DICCIONARIOS = path.join(__dirname, 'diccionarios');
+const DICCIONARIOS = ['gpt-informatica', 'trivia_informática'];
+const SEMILLA = 'BENCH';
+const ITERACIONES = 60;
+const COMMIT_ANTERIOR = 'bf11b22';
+
+/**Generador aleatorio anterior (math-random-seed): cada número son los primeros 4 bytes del SHA-256 del anterior, calculado con un Hash de node */
+function aleatorioAnterior(semilla) {
+  let hash = null;
+  return () => {
+    hash = crypto
+      .createHash('sha256')
+      .update(hash === null ? semilla : hash)
+      .digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+  };
+}
+
+/**Carga la clase ConwordsGenerator del commit anterior desde git (math-random-seed se reemplaza por aleatorioAnterior, que genera los mismos números) */
+function cargarAnterior() {
+  const codigo = execFileSync('git', ['show', `${COMMIT_ANTERIOR}:src/ConwordsGenerator.js`], { cwd: __dirname, encoding: 'utf8' });
+  const archivo = path.join(__dirname, `ConwordsGenerator.${COMMIT_ANTERIOR}.js`);
+  const modulo = new Module(archivo, module);
+  modulo.filename = archivo;
+  modulo.paths = Module._nodeModulePaths(__dirname);
+  const requerir = modulo.require.bind(modulo);
+  modulo.require = (id) => (id === 'math-random-seed' ? aleatorioAnterior : requerir(id));
+  modulo._compile(codigo, archivo);
+  return modulo.exports;
+}
+
+/**Mide el tiempo de una función en milisegundos */
+function medir(fn) {
+  const inicio = process.hrtime.bigint();
+  const resultado = fn();
+  return { resultado, ms: Number(process.hrtime.bigint() - inicio) / 1e6 };
+}
+
+/**Compila los diccionarios con la clase indicada, genera la matriz inicial, la itera y la completa */
+async function generar(Generador, diccionarios, iteraciones) {
+  const generador = new Generador({ compilacion: await Generador.compilar(diccionarios), ancho: 36, alto: 36 });
+  let matrices = generador.generar(SEMILLA);
+  const iteracion = medir(() => {
+    for (let i = 0; i < iteraciones; i++) {
+      matrices = generador.iterar(matrices);
+    }
+    return matrices;
+  });
+  const [mejor] = generador.completar(iteracion.resultado);
+  return { ms: iteracion.ms, mejor };
+}
+
+(async () => {
+  const args = process.argv.slice(2);
+  const sinAnterior = args.includes('--sin-anterior');
+  const iteraciones = Number(args.find((arg) => !arg.startsWith('--')) || ITERACIONES);
+  const diccionarios = DICCIONARIOS.map((nombre) => require(path.join(CARPETA_DICCIONARIOS, nombre + '.json')));
+
+  const actual = await generar(ConwordsGenerator, diccionarios, iteraciones);
+  console.log(`Iteraciones actuales (${iteraciones}, 36x36):  ${actual.ms.toFixed(0)} ms (${(actual.ms / iteraciones).toFixed(1)} ms por iteración)`);
+  console.log(`Crucigrama: ${actual.mejor.preguntasData.length} palabras, ${actual.mejor.cruces} cruces, puntaje ${actual.mejor.puntaje}`);
+  if (sinAnterior) {
+    return;
+  }
+
+  let Anterior;
+  try {
+    Anterior = cargarAnterior();
+  } catch (error) {
+    console.error(`No se pudo leer la versión anterior con git (commit ${COMMIT_ANTERIOR}), use --sin-anterior: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  const anterior = await generar(Anterior, diccionarios, iteraciones);
+  console.log(`Iteraciones anteriores (${iteraciones}, 36x36, commit ${COMMIT_ANTERIOR}): ${anterior.ms.toFixed(0)} ms (${(anterior.ms / actual.ms).toFixed(1)} veces mas lento)`);
+  console.log(`Crucigrama anterior: ${anterior.mejor.preguntasData.length} palabras, ${anterior.mejor.cruces} cruces, puntaje ${anterior.mejor.puntaje}`);
+})();
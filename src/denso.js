@@ -0,0 +1,284 @@
+/**Modo denso (crucigrama estilo americano): cada celda blanca pertenece a una palabra horizontal y a una vertical,
+ * las celdas negras tienen simetría rotacional de 180° y las palabras tienen al menos 3 letras.
+ * El patrón de celdas negras se puede indicar o crear, y se llena con backtracking usando los indices por largo y por letra.
+ */
+
+/**Largo minimo de las palabras del modo denso */
+const LARGO_MINIMO = 3;
+
+/**Retorna las ranuras del patrón (secuencias de celdas blancas, de cualquier largo) como {x, y, horizontal, largo}
+ * @param {Array} negras - Matriz de booleanos [y][x] (true: celda negra)
+ */
+function ranurasPatron(negras) {
+  const alto = negras.length;
+  const ancho = alto > 0 ? negras[0].length : 0;
+  const ranuras = [];
+  for (let horizontal of [true, false]) {
+    const lineas = horizontal ? alto : ancho;
+    const largoLinea = horizontal ? ancho : alto;
+    for (let linea = 0; linea < lineas; linea++) {
+      let inicio = -1;
+      for (let i = 0; i <= largoLinea; i++) {
+        const negra = i === largoLinea || (horizontal ? negras[linea][i] : negras[i][linea]);
+        if (!negra && inicio === -1) {
+          inicio = i;
+        } else if (negra && inicio !== -1) {
+          ranuras.push(horizontal ? { x: inicio, y: linea, horizontal, largo: i - inicio } : { x: linea, y: inicio, horizontal, largo: i - inicio });
+          inicio = -1;
+        }
+      }
+    }
+  }
+  return ranuras;
+}
+
+/**Indica si las celdas blancas del patrón están conectadas */
+function conectado(negras) {
+  const alto = negras.length;
+  const ancho = negras[0].length;
+  const blancas = [];
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      if (!negras[y][x]) {
+        blancas.push([x, y]);
+      }
+    }
+  }
+  if (blancas.length === 0) {
+    return false;
+  }
+  const visitadas = new Set([blancas[0][1] * ancho + blancas[0][0]]);
+  const pendientes = [blancas[0]];
+  while (pendientes.length > 0) {
+    const [x, y] = pendientes.pop();
+    for (let [vx, vy] of [
+      [x - 1, y],
+      [x + 1, y],
+      [x, y - 1],
+      [x, y + 1],
+    ]) {
+      if (vx >= 0 && vy >= 0 && vx < ancho && vy < alto && !negras[vy][vx] && !visitadas.has(vy * ancho + vx)) {
+        visitadas.add(vy * ancho + vx);
+        pendientes.push([vx, vy]);
+      }
+    }
+  }
+  return visitadas.size === blancas.length;
+}
+
+/**Retorna los problemas de un patrón para el modo denso (vacio si es valido): celdas negras sin simetría,
+ * palabras de menos de 3 letras (tambien las celdas que no forman parte de una palabra horizontal o vertical) y celdas blancas desconectadas
+ * @param {Array} negras - Matriz de booleanos [y][x] (true: celda negra)
+ * @returns {Array} - Textos con los problemas
+ */
+function problemasPatron(negras) {
+  const problemas = [];
+  const alto = negras.length;
+  const ancho = negras[0].length;
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      if (negras[y][x] !== negras[alto - 1 - y][ancho - 1 - x] && y * ancho + x < (alto - 1 - y) * ancho + (ancho - 1 - x)) {
+        problemas.push(`la celda x:${x} y:${y} no es simétrica con la celda x:${ancho - 1 - x} y:${alto - 1 - y}`);
+      }
+    }
+  }
+  for (let ranura of ranurasPatron(negras)) {
+    if (ranura.largo < LARGO_MINIMO) {
+      problemas.push(`la secuencia ${ranura.horizontal ? 'horizontal' : 'vertical'} en x:${ranura.x} y:${ranura.y} tiene ${ranura.largo} ${ranura.largo === 1 ? 'letra' : 'letras'} (el minimo es ${LARGO_MINIMO})`);
+    }
+  }
+  if (!conectado(negras)) {
+    problemas.push('las celdas blancas no están conectadas');
+  }
+  return problemas;
+}
+
+/**Crea un patrón de celdas negras simétrico, agregando pares de celdas negras al azar mientras el patrón siga siendo valido
+ * @param {Number} ancho - Ancho del patrón
+ * @param {Number} alto - Alto del patrón
+ * @param {Function} random - Generador aleatorio
+ * @param {Object} opciones
+ * @param {Number} opciones.proporcionNegras - Proporción de celdas negras buscada [0, 1]
+ * @param {Number} opciones.largoMaximo - Largo maximo de las palabras, se agregan celdas negras hasta que ninguna sea mas larga
+ * @param {Array} opciones.negras - Celdas negras iniciales (matriz de booleanos, opcional)
+ * @returns {Array} - Matriz de booleanos [y][x] (true: celda negra), o undefined si no se pudo crear un patrón valido
+ */
+function crearPatron(ancho, alto, random, { proporcionNegras, largoMaximo, negras: iniciales }) {
+  const negras = Array.from({ length: alto }).map((_, y) => Array.from({ length: ancho }).map((_, x) => !!(iniciales && iniciales[y][x])));
+  const objetivo = Math.round(ancho * alto * proporcionNegras);
+  let cantidad = negras.reduce((total, fila) => total + fila.filter((negra) => negra).length, 0);
+  const valido = () => ranurasPatron(negras).every((ranura) => ranura.largo >= LARGO_MINIMO) && conectado(negras);
+  /**Retorna una celda de una palabra mas larga que el largo maximo (o undefined si no hay) */
+  const celdaLarga = () => {
+    const largas = ranurasPatron(negras).filter((ranura) => ranura.largo > largoMaximo);
+    if (largas.length === 0) {
+      return undefined;
+    }
+    const ranura = largas[Math.floor(random() * largas.length)];
+    const i = Math.floor(random() * ranura.largo);
+    return ranura.horizontal ? [ranura.x + i, ranura.y] : [ranura.x, ranura.y + i];
+  };
+
+  for (let intento = 0; intento < ancho * alto * 4; intento++) {
+    let celda;
+    if (cantidad < objetivo) {
+      celda = [Math.floor(random() * ancho), Math.floor(random() * alto)];
+    } else {
+      celda = celdaLarga();
+      if (celda === undefined) {
+        break;
+      }
+    }
+    const [x, y] = celda;
+    const [sx, sy] = [ancho - 1 - x, alto - 1 - y];
+    if (negras[y][x]) {
+      continue;
+    }
+    negras[y][x] = true;
+    negras[sy][sx] = true;
+    if (valido()) {
+      cantidad += x === sx && y === sy ? 1 : 2;
+    } else {
+      negras[y][x] = false;
+      negras[sy][sx] = false;
+    }
+  }
+  return problemasPatron(negras).length === 0 && celdaLarga() === undefined ? negras : undefined;
+}
+
+/**Llena un patrón con palabras, con backtracking: en cada paso elige la ranura con menos palabras posibles
+ * y prueba sus palabras en orden aleatorio, retrocediendo cuando alguna ranura se queda sin palabras posibles.
+ * @param {Array} negras - Matriz de booleanos [y][x] (true: celda negra), debe ser un patrón valido
+ * @param {Map} palabrasPorLargo - Palabras que se pueden usar de cada largo: Map de largo a array de {idx, texto} (texto con las letras normalizadas, sin textos repetidos)
+ * @param {Object} opciones
+ * @param {Function} opciones.random - Generador aleatorio
+ * @param {Number} opciones.maxPasos - Cantidad maxima de pasos (palabras probadas) antes de rendirse
+ * @returns {Object} - {asignaciones, pasos} donde asignaciones son {x, y, horizontal, largo, idx, texto}, o {asignaciones: undefined, pasos, agotado, ranura}:
+ * agotado indica que se probaron todas las combinaciones (no existe un llenado) y ranura es la que mas veces se quedó sin palabras
+ */
+function llenarPatron(negras, palabrasPorLargo, { random, maxPasos }) {
+  const ancho = negras[0].length;
+  const ranuras = ranurasPatron(negras);
+  //Celdas de cada ranura (indice y * ancho + x)
+  const celdas = ranuras.map((ranura) => Array.from({ length: ranura.largo }).map((_, i) => (ranura.horizontal ? ranura.y * ancho + ranura.x + i : (ranura.y + i) * ancho + ranura.x)));
+  //Indice de cada largo: posición + letra => Set de las posiciones de las palabras en el array de ese largo
+  const indices = new Map();
+  for (let largo of new Set(ranuras.map((ranura) => ranura.largo))) {
+    const indice = new Map();
+    (palabrasPorLargo.get(largo) || []).forEach(({ texto }, j) => {
+      for (let i = 0; i < largo; i++) {
+        const clave = '' + i + texto[i];
+        if (!indice.has(clave)) {
+          indice.set(clave, new Set());
+        }
+        indice.get(clave).add(j);
+      }
+    });
+    indices.set(largo, indice);
+  }
+
+  const letras = new Array(ancho * negras.length).fill(null);
+  const asignadas = new Array(ranuras.length).fill(undefined);
+  const usadas = new Set();
+  const fallos = new Array(ranuras.length).fill(0);
+  let pasos = 0;
+  let limite = false;
+
+  /**Retorna las palabras posibles de una ranura (posiciones en el array de su largo). Con soloContar, si la ranura no tiene letras retorna su cantidad */
+  const posibles = (r, soloContar) => {
+    const { largo } = ranuras[r];
+    const lista = palabrasPorLargo.get(largo) || [];
+    const conjuntos = [];
+    for (let i = 0; i < largo; i++) {
+      const letra = letras[celdas[r][i]];
+      if (letra !== null) {
+        const conjunto = indices.get(largo).get('' + i + letra);
+        if (conjunto === undefined) {
+          return [];
+        }
+        conjuntos.push(conjunto);
+      }
+    }
+    if (conjuntos.length === 0) {
+      return soloContar ? lista.length : lista.map((_, j) => j).filter((j) => !usadas.has(lista[j].idx));
+    }
+    conjuntos.sort((a, b) => a.size - b.size);
+    const resultado = [];
+    for (let j of conjuntos[0]) {
+      if (!usadas.has(lista[j].idx) && conjuntos.every((conjunto) => conjunto.has(j))) {
+        resultado.push(j);
+      }
+    }
+    return resultado;
+  };
+
+  const resolver = () => {
+    //Elige la ranura sin palabra con menos palabras posibles (si alguna no tiene, retrocede)
+    let elegida = -1;
+    let opciones;
+    let minimo = Infinity;
+    for (let r = 0; r < ranuras.length; r++) {
+      if (asignadas[r] !== undefined) {
+        continue;
+      }
+      const encontradas = posibles(r, true);
+      const cantidad = typeof encontradas === 'number' ? encontradas : encontradas.length;
+      if (cantidad === 0) {
+        fallos[r]++;
+        return false;
+      }
+      if (cantidad < minimo) {
+        minimo = cantidad;
+        elegida = r;
+        opciones = encontradas;
+      }
+    }
+    if (elegida === -1) {
+      return true;
+    }
+    if (typeof opciones === 'number') {
+      opciones = posibles(elegida, false);
+    }
+    const lista = palabrasPorLargo.get(ranuras[elegida].largo);
+    //Orden aleatorio (Fisher-Yates)
+    for (let i = opciones.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [opciones[i], opciones[j]] = [opciones[j], opciones[i]];
+    }
+    for (let j of opciones) {
+      if (++pasos > maxPasos) {
+        limite = true;
+        return false;
+      }
+      const { idx, texto } = lista[j];
+      const nuevas = [];
+      celdas[elegida].forEach((celda, i) => {
+        if (letras[celda] === null) {
+          letras[celda] = texto[i];
+          nuevas.push(celda);
+        }
+      });
+      asignadas[elegida] = j;
+      usadas.add(idx);
+      if (resolver()) {
+        return true;
+      }
+      usadas.delete(idx);
+      asignadas[elegida] = undefined;
+      nuevas.forEach((celda) => (letras[celda] = null));
+      if (limite) {
+        return false;
+      }
+    }
+    return false;
+  };
+
+  if (resolver()) {
+    const asignaciones = ranuras.map((ranura, r) => ({ ...ranura, ...palabrasPorLargo.get(ranura.largo)[asignadas[r]] }));
+    return { asignaciones, pasos };
+  }
+  const masFallos = fallos.reduce((mejor, cantidad, r) => (cantidad > fallos[mejor] ? r : mejor), 0);
+  return { asignaciones: undefined, pasos, agotado: !limite, ranura: ranuras[masFallos] };
+}
+
+module.exports = { LARGO_MINIMO, ranurasPatron, problemasPatron, crearPatron, llenarPatron };
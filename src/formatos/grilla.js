@@ -0,0 +1,38 @@
+/**Funciones comunes a los formatos de exportación, que trabajan sobre la grilla de letras de un crucigrama */
+
+/**Numera una grilla de la forma estándar: una celda recibe número si comienza una secuencia horizontal o vertical de 2 o mas letras.
+ * @param {Array} solucion - Matriz [y][x] con la letra de cada celda (null si la celda está bloqueada)
+ * @returns {Array} - Secuencias ordenadas por número (la horizontal antes que la vertical): [{numero, horizontal, x, y, largo}]
+ */
+function numerarGrilla(solucion) {
+  const alto = solucion.length;
+  const ancho = alto > 0 ? solucion[0].length : 0;
+  const libre = (x, y) => x >= 0 && y >= 0 && x < ancho && y < alto && solucion[y][x] !== null;
+  const secuencias = [];
+  let numero = 0;
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      if (!libre(x, y)) {
+        continue;
+      }
+      const horizontal = !libre(x - 1, y) && libre(x + 1, y);
+      const vertical = !libre(x, y - 1) && libre(x, y + 1);
+      if (horizontal || vertical) {
+        numero++;
+      }
+      if (horizontal) {
+        let largo = 1;
+        while (libre(x + largo, y)) largo++;
+        secuencias.push({ numero, horizontal: true, x, y, largo });
+      }
+      if (vertical) {
+        let largo = 1;
+        while (libre(x, y + largo)) largo++;
+        secuencias.push({ numero, horizontal: false, x, y, largo });
+      }
+    }
+  }
+  return secuencias;
+}
+
+module.exports = { numerarGrilla };
@@ -0,0 +1,101 @@
+/**Página HTML imprimible del crucigrama: una página con la grilla en blanco y las preguntas, y otra con la solución.
+ * La página no usa recursos externos (las grillas van como SVG dentro del HTML).
+ */
+
+const { dibujarGrilla, escapar, OPCIONES_SVG } = require('./svg.js');
+
+/**Opciones por defecto de la página */
+const OPCIONES_HTML = {
+  ...OPCIONES_SVG,
+  titulo: undefined,
+  tamañoTexto: 11,
+  tamañoPapel: 'A4',
+  soluciones: true,
+};
+
+/**Limpia un valor que se escribe dentro del CSS de la página (en el CSS no se pueden usar entidades HTML) */
+function valorCss(valor) {
+  return ('' + valor).replace(/[<>{};]/g, '');
+}
+
+/**Lista de preguntas en HTML */
+function listaPreguntas(titulo, lista) {
+  const items = lista.map((pregunta) => `<li value="${pregunta.numero}">${escapar(pregunta.pregunta || '')} <span class="largo">(${pregunta.enumeracion || pregunta.largo})</span></li>`);
+  return `<section class="lista"><h2>${titulo}</h2><ol>\n${items.join('\n')}\n</ol></section>`;
+}
+
+/**Linea con los diccionarios y categorias de las preguntas, para dar credito a las fuentes */
+function textoFuentes(fuentes) {
+  if (!fuentes) {
+    return '';
+  }
+  const partes = [];
+  for (let [titulo, cantidades] of [
+    ['Fuentes', fuentes.diccionarios],
+    ['Categorías', fuentes.categorias],
+  ]) {
+    if (cantidades && Object.keys(cantidades).length > 0) {
+      partes.push(`${titulo}: ${Object.keys(cantidades).map(escapar).join(', ')}.`);
+    }
+  }
+  return partes.length > 0 ? `\n<p class="fuentes">${partes.join(' ')}</p>` : '';
+}
+
+/**Genera la página HTML imprimible
+ * @param {Object} crucigrama - Crucigrama retornado por generador.getCrucigrama(matriz)
+ * @param {Object} opciones - Opciones de la página (ademas de las opciones de la grilla SVG: tamañoCelda, fuente, colores, etc)
+ * @param {String} opciones.titulo - Titulo de la página ('Crucigrama ' + semilla por defecto)
+ * @param {Number} opciones.tamañoTexto - Tamaño del texto de las preguntas en puntos (11 por defecto)
+ * @param {String} opciones.tamañoPapel - Tamaño del papel para imprimir ('A4' por defecto)
+ * @param {Boolean} opciones.soluciones - Indica si se agrega la página con la solución (true por defecto)
+ * @returns {String} - Documento HTML
+ */
+function paginaHtml(crucigrama, opciones = {}) {
+  const o = { ...OPCIONES_HTML, ...opciones };
+  const titulo = escapar(o.titulo !== undefined ? o.titulo : `Crucigrama ${crucigrama.semilla}`);
+  const paginas = [
+    `<div class="pagina">
+<h1>${titulo}</h1>
+<div class="grilla">${dibujarGrilla(crucigrama, { ...o, solucion: false })}</div>
+<div class="preguntas">
+${listaPreguntas('Horizontales', crucigrama.horizontales)}
+${listaPreguntas('Verticales', crucigrama.verticales)}
+</div>${textoFuentes(crucigrama.fuentes)}
+</div>`,
+  ];
+  if (o.soluciones) {
+    paginas.push(`<div class="pagina">
+<h1>${titulo} - Solución</h1>
+<div class="grilla">${dibujarGrilla(crucigrama, { ...o, solucion: true })}</div>
+</div>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${titulo}</title>
+<style>
+@page { size: ${valorCss(o.tamañoPapel)}; margin: 12mm; }
+body { font-family: ${valorCss(o.fuente)}; color: ${valorCss(o.colorTexto)}; margin: 0; }
+h1 { font-size: ${o.tamañoTexto * 1.6}pt; margin: 0 0 8mm 0; }
+h2 { font-size: ${o.tamañoTexto * 1.2}pt; margin: 4mm 0 2mm 0; }
+.pagina { page-break-after: always; break-after: page; padding: 8mm; }
+.pagina:last-child { page-break-after: auto; break-after: auto; }
+.grilla { text-align: center; }
+.grilla svg { max-width: 100%; height: auto; }
+.preguntas { column-count: 2; column-gap: 8mm; font-size: ${o.tamañoTexto}pt; margin-top: 6mm; }
+.lista ol { margin: 0; padding-left: 2.2em; }
+.lista li { margin-bottom: 1mm; break-inside: avoid; }
+.largo { white-space: nowrap; }
+.fuentes { font-size: ${o.tamañoTexto * 0.8}pt; color: #555555; margin-top: 4mm; }
+</style>
+</head>
+<body>
+${paginas.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = { paginaHtml };
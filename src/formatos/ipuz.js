@@ -0,0 +1,179 @@
+/**Exportación e importación de crucigramas en el formato abierto ipuz (http://ipuz.org), un formato JSON en UTF-8,
+ * por lo que las letras con acento, la Ü y la Ñ se mantienen sin cambios.
+ */
+
+const { numerarGrilla } = require('./grilla.js');
+
+const VERSION = 'http://ipuz.org/v2';
+const KIND = 'http://ipuz.org/crossword#1';
+const BLOQUE = '#';
+/**Campo de extensión con los datos del generador (el formato pide nombres tipo URL para los campos propios) */
+const EXTENSION = 'https://conwords.app/generador';
+
+/**Diccionario y categoria de cada pregunta (el formato no tiene campos para esto, se guardan en la extensión) */
+function origenes(crucigrama) {
+  const lista = [];
+  for (let [direccion, preguntas] of [
+    ['Across', crucigrama.horizontales],
+    ['Down', crucigrama.verticales],
+  ]) {
+    for (let { numero, diccionario, categoria } of preguntas) {
+      if (diccionario !== undefined || categoria !== undefined) {
+        lista.push({ direccion, numero, diccionario, categoria });
+      }
+    }
+  }
+  return lista;
+}
+
+/**Genera el crucigrama en formato ipuz
+ * @param {Object} crucigrama - Crucigrama retornado por generador.getCrucigrama(matriz)
+ * @param {Object} opciones - Metadatos del crucigrama
+ * @param {String} opciones.titulo - Titulo del crucigrama ('Crucigrama ' + semilla por defecto)
+ * @param {String} opciones.autor - Autor del crucigrama
+ * @param {String} opciones.copyright - Copyright del crucigrama
+ * @param {String} opciones.editorial - Editorial del crucigrama
+ * @param {String} opciones.notas - Notas del crucigrama
+ * @param {Object} opciones.generador - Datos del generador que se guardan en la extensión (semilla, iteraciones, opciones)
+ * @returns {Object} - Objeto ipuz (para guardarlo como archivo usar JSON.stringify)
+ */
+function escribirIpuz(crucigrama, opciones = {}) {
+  const { ancho, alto, numeros, solucion, bloqueadas } = crucigrama;
+  const puzzle = [];
+  const solution = [];
+  for (let y = 0; y < alto; y++) {
+    puzzle.push([]);
+    solution.push([]);
+    for (let x = 0; x < ancho; x++) {
+      //Las celdas bloqueadas por la máscara se guardan como celdas omitidas (null), las demas celdas sin letra son bloques
+      if (bloqueadas && bloqueadas[y][x]) {
+        puzzle[y].push(null);
+        solution[y].push(null);
+        continue;
+      }
+      puzzle[y].push(solucion[y][x] === null ? BLOQUE : numeros[y][x] || 0);
+      solution[y].push(solucion[y][x] === null ? BLOQUE : solucion[y][x]);
+    }
+  }
+  const pista = (pregunta) => ({ number: pregunta.numero, clue: pregunta.pregunta || '', enumeration: '' + (pregunta.enumeracion || pregunta.largo), answer: pregunta.palabra });
+
+  const ipuz = {
+    version: VERSION,
+    kind: [KIND],
+    origin: 'conwords-generator',
+    title: opciones.titulo !== undefined ? opciones.titulo : `Crucigrama ${crucigrama.semilla}`,
+  };
+  for (let [campo, opcion] of [
+    ['author', 'autor'],
+    ['copyright', 'copyright'],
+    ['publisher', 'editorial'],
+    ['notes', 'notas'],
+  ]) {
+    if (opciones[opcion] !== undefined) {
+      ipuz[campo] = opciones[opcion];
+    }
+  }
+  return {
+    ...ipuz,
+    block: BLOQUE,
+    empty: 0,
+    dimensions: { width: ancho, height: alto },
+    puzzle,
+    solution,
+    clues: {
+      Across: crucigrama.horizontales.map(pista),
+      Down: crucigrama.verticales.map(pista),
+    },
+    [EXTENSION]: { semilla: crucigrama.semilla, ...(opciones.generador || {}), fuentes: crucigrama.fuentes, origenes: origenes(crucigrama) },
+  };
+}
+
+/**Lee un crucigrama en formato ipuz
+ * @param {Object|String} ipuz - Objeto ipuz o el texto del archivo (se acepta el formato JSONP: ipuz({...}))
+ * @returns {Object} - Crucigrama con la forma de generador.getCrucigrama(matriz), mas {titulo, autor, copyright, editorial, notas, generador}
+ */
+function leerIpuz(ipuz) {
+  if (typeof ipuz === 'string') {
+    ipuz = JSON.parse(ipuz.trim().replace(/^ipuz\(([\s\S]*)\)$/, '$1'));
+  }
+  if (!ipuz || !Array.isArray(ipuz.kind) || !ipuz.kind.some((kind) => ('' + kind).startsWith('http://ipuz.org/crossword'))) {
+    throw new Error('El archivo no es un crucigrama en formato ipuz');
+  }
+  if (!ipuz.dimensions || !Array.isArray(ipuz.solution)) {
+    throw new Error('El crucigrama ipuz debe tener dimensiones y solución');
+  }
+  const ancho = ipuz.dimensions.width;
+  const alto = ipuz.dimensions.height;
+  const bloque = ipuz.block !== undefined ? ipuz.block : BLOQUE;
+
+  /**Las celdas pueden ser un valor o un objeto {cell, value, style} */
+  const valor = (celda, campo) => (celda !== null && typeof celda === 'object' ? celda[campo] : celda);
+  const solucion = [];
+  const vacio = [];
+  //Las celdas omitidas (null en puzzle) son celdas bloqueadas por la máscara
+  const bloqueadas = [];
+  for (let y = 0; y < alto; y++) {
+    solucion.push([]);
+    vacio.push([]);
+    bloqueadas.push([]);
+    for (let x = 0; x < ancho; x++) {
+      bloqueadas[y].push(!!ipuz.puzzle && ipuz.puzzle[y][x] === null);
+      const celdaPuzzle = ipuz.puzzle ? valor(ipuz.puzzle[y][x], 'cell') : undefined;
+      const letra = valor(ipuz.solution[y][x], 'value');
+      const bloqueada = letra === null || letra === undefined || letra === bloque || celdaPuzzle === null || celdaPuzzle === bloque;
+      solucion[y].push(bloqueada ? null : ('' + letra).toUpperCase());
+      vacio[y].push(bloqueada ? null : '');
+    }
+  }
+
+  const numeros = Array.from({ length: alto }).map(() => new Array(ancho).fill(null));
+  const secuencias = new Map();
+  for (let secuencia of numerarGrilla(solucion)) {
+    numeros[secuencia.y][secuencia.x] = secuencia.numero;
+    secuencias.set(`${secuencia.horizontal ? 1 : 0}_${secuencia.numero}`, secuencia);
+  }
+
+  /**Las pistas pueden ser [numero, pregunta], un texto o un objeto {number, clue, answer} */
+  const leerPistas = (direccion, horizontal) => {
+    const clave = Object.keys(ipuz.clues || {}).find((clave) => clave.split(':')[0] === direccion);
+    const enDireccion = [...secuencias.values()].filter((secuencia) => secuencia.horizontal === horizontal);
+    return (clave ? ipuz.clues[clave] : []).map((pista, i) => {
+      //Si la pista es solo un texto se asigna en orden a las palabras de la grilla
+      const numero = typeof pista === 'string' ? (enDireccion[i] || {}).numero : Number(Array.isArray(pista) ? pista[0] : pista.number);
+      const secuencia = secuencias.get(`${horizontal ? 1 : 0}_${numero}`);
+      if (!secuencia) {
+        throw new Error(`La pregunta ${numero} ${horizontal ? 'horizontal' : 'vertical'} no corresponde a ninguna palabra de la grilla`);
+      }
+      let palabra = '';
+      for (let j = 0; j < secuencia.largo; j++) {
+        palabra += horizontal ? solucion[secuencia.y][secuencia.x + j] : solucion[secuencia.y + j][secuencia.x];
+      }
+      const pregunta = Array.isArray(pista) ? pista[1] : typeof pista === 'string' ? pista : pista.clue;
+      const origen = ((ipuz[EXTENSION] || {}).origenes || []).find((origen) => origen.direccion === direccion && origen.numero === numero) || {};
+      //Una enumeración con varias partes (ej: "4,2,5") indica una respuesta de varias palabras
+      const enumeracion = pista !== null && typeof pista === 'object' && /^\d+(,\d+)+$/.test('' + pista.enumeration) ? '' + pista.enumeration : undefined;
+      return { numero, palabra, largo: secuencia.largo, enumeracion, x: secuencia.x, y: secuencia.y, pregunta, diccionario: origen.diccionario, categoria: origen.categoria };
+    });
+  };
+
+  return {
+    titulo: ipuz.title,
+    autor: ipuz.author,
+    copyright: ipuz.copyright,
+    editorial: ipuz.publisher,
+    notas: ipuz.notes,
+    generador: ipuz[EXTENSION],
+    semilla: ipuz[EXTENSION] ? ipuz[EXTENSION].semilla : undefined,
+    ancho,
+    alto,
+    numeros,
+    solucion,
+    vacio,
+    horizontales: leerPistas('Across', true),
+    verticales: leerPistas('Down', false),
+    fuentes: ipuz[EXTENSION] ? ipuz[EXTENSION].fuentes : undefined,
+    bloqueadas: bloqueadas.some((fila) => fila.includes(true)) ? bloqueadas : undefined,
+  };
+}
+
+module.exports = { escribirIpuz, leerIpuz };
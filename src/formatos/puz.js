@@ -0,0 +1,240 @@
+/**Exportación e importación de crucigramas en el formato binario .puz de Across Lite
+ * (el formato que abren la mayoría de las aplicaciones de crucigramas).
+ *
+ * El formato guarda los textos en Latin-1 y la solución con una letra por celda, por eso:
+ * - Las letras de la solución se transliteran por defecto (Á -> A, Ü -> U, Ñ -> N), ya que las aplicaciones solo permiten escribir A-Z.
+ *   Con la opción letras: 'latin1' se mantienen las letras acentuadas y la Ñ (existen en Latin-1, pero no todas las aplicaciones las aceptan).
+ * - En los textos (titulo, preguntas, etc) se mantienen los caracteres de Latin-1 (¿, ¡, Á, Ñ...) y se transliteran los demás.
+ */
+
+const { numerarGrilla } = require('./grilla.js');
+
+const MAGIC = 'ACROSS&DOWN\0';
+const VERSION = '1.3\0';
+const TAMAÑO_CABECERA = 0x34;
+const CELDA_BLOQUEADA = '.';
+const CELDA_VACIA = '-';
+
+/**Reemplazos de caracteres frecuentes que no existen en Latin-1 */
+const REEMPLAZOS = { '“': '"', '”': '"', '„': '"', '‘': "'", '’': "'", '‚': "'", '–': '-', '—': '-', '…': '...', '€': 'EUR' };
+
+/**Checksum de una región de bytes, según el formato .puz */
+function checksum(bytes, cksum = 0) {
+  for (let i = 0; i < bytes.length; i++) {
+    cksum = cksum & 1 ? (cksum >> 1) + 0x8000 : cksum >> 1;
+    cksum = (cksum + bytes[i]) & 0xffff;
+  }
+  return cksum;
+}
+
+/**Checksum de los textos: titulo, autor, copyright y notas incluyen su \0 final (si no están vacios), las preguntas no */
+function checksumTextos({ titulo, autor, copyright, preguntas, notas }, cksum = 0) {
+  for (let texto of [titulo, autor, copyright]) {
+    if (texto.length > 0) {
+      cksum = checksum(Buffer.from(texto + '\0', 'latin1'), cksum);
+    }
+  }
+  for (let pregunta of preguntas) {
+    cksum = checksum(Buffer.from(pregunta, 'latin1'), cksum);
+  }
+  if (notas.length > 0) {
+    cksum = checksum(Buffer.from(notas + '\0', 'latin1'), cksum);
+  }
+  return cksum;
+}
+
+/**Quita los acentos, la diéresis y la tilde de la Ñ */
+function quitarAcentos(texto) {
+  return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').normalize('NFC');
+}
+
+/**Reemplaza los caracteres que no se pueden escribir en Latin-1 */
+function aLatin1(texto) {
+  let s = '';
+  for (let caracter of '' + texto) {
+    if (caracter.charCodeAt(0) <= 0xff) {
+      s += caracter;
+    } else if (REEMPLAZOS[caracter] !== undefined) {
+      s += REEMPLAZOS[caracter];
+    } else {
+      const sinAcento = quitarAcentos(caracter);
+      s += [...sinAcento].every((c) => c.charCodeAt(0) <= 0xff) ? sinAcento : '?';
+    }
+  }
+  return s;
+}
+
+/**Genera el archivo .puz de un crucigrama
+ * @param {Object} crucigrama - Crucigrama retornado por generador.getCrucigrama(matriz)
+ * @param {Object} opciones - Opciones del archivo
+ * @param {String} opciones.titulo - Titulo del crucigrama ('Crucigrama ' + semilla por defecto)
+ * @param {String} opciones.autor - Autor del crucigrama ('' por defecto)
+ * @param {String} opciones.copyright - Copyright del crucigrama ('' por defecto)
+ * @param {String} opciones.notas - Notas del crucigrama ('' por defecto)
+ * @param {String} opciones.letras - 'transliterar' quita acentos y cambia Ñ por N en la solución, 'latin1' los mantiene ('transliterar' por defecto)
+ * @returns {Buffer} - Contenido del archivo .puz
+ */
+function escribirPuz(crucigrama, opciones = {}) {
+  const { ancho, alto, solucion, horizontales, verticales } = crucigrama;
+  const letras = opciones.letras || 'transliterar';
+  if (letras !== 'transliterar' && letras !== 'latin1') {
+    throw new Error(`Opción letras no soportada: ${letras} (debe ser 'transliterar' o 'latin1')`);
+  }
+  if (ancho > 255 || alto > 255) {
+    throw new Error('El formato .puz no soporta crucigramas de mas de 255x255');
+  }
+
+  //El formato numera las preguntas a partir de la grilla, por eso cada secuencia de letras debe ser una palabra del crucigrama
+  const palabras = new Map();
+  for (let pregunta of horizontales) palabras.set(`1_${pregunta.x}_${pregunta.y}`, pregunta);
+  for (let pregunta of verticales) palabras.set(`0_${pregunta.x}_${pregunta.y}`, pregunta);
+  const preguntas = numerarGrilla(solucion).map((secuencia) => {
+    const pregunta = palabras.get(`${secuencia.horizontal ? 1 : 0}_${secuencia.x}_${secuencia.y}`);
+    if (!pregunta || pregunta.largo !== secuencia.largo) {
+      throw new Error(`La secuencia ${secuencia.horizontal ? 'horizontal' : 'vertical'} de largo ${secuencia.largo} en x:${secuencia.x} y:${secuencia.y} no es una palabra del crucigrama, no se puede exportar a .puz`);
+    }
+    //El formato no tiene enumeración, en las respuestas de varias palabras se agrega a la pregunta
+    return aLatin1((pregunta.pregunta || '') + (pregunta.enumeracion ? ` (${pregunta.enumeracion})` : ''));
+  });
+  if (preguntas.length !== horizontales.length + verticales.length) {
+    throw new Error('El crucigrama tiene palabras contenidas en otras secuencias de letras, no se puede exportar a .puz');
+  }
+
+  let textoSolucion = '';
+  let textoGrilla = '';
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      const letra = solucion[y][x];
+      if (letra === null) {
+        textoSolucion += CELDA_BLOQUEADA;
+        textoGrilla += CELDA_BLOQUEADA;
+      } else {
+        textoSolucion += aLatin1(letras === 'transliterar' ? quitarAcentos(letra) : letra);
+        textoGrilla += CELDA_VACIA;
+      }
+    }
+  }
+  const bytesSolucion = Buffer.from(textoSolucion, 'latin1');
+  const bytesGrilla = Buffer.from(textoGrilla, 'latin1');
+  if (bytesSolucion.length !== ancho * alto) {
+    throw new Error('La solución debe tener una letra por celda');
+  }
+
+  const textos = {
+    titulo: aLatin1(opciones.titulo !== undefined ? opciones.titulo : `Crucigrama ${crucigrama.semilla}`),
+    autor: aLatin1(opciones.autor || ''),
+    copyright: aLatin1(opciones.copyright || ''),
+    preguntas,
+    notas: aLatin1(opciones.notas || ''),
+  };
+
+  const cabecera = Buffer.alloc(TAMAÑO_CABECERA);
+  cabecera.write(MAGIC, 0x02, 'latin1');
+  cabecera.write(VERSION, 0x18, 'latin1');
+  cabecera.writeUInt8(ancho, 0x2c);
+  cabecera.writeUInt8(alto, 0x2d);
+  cabecera.writeUInt16LE(preguntas.length, 0x2e);
+  cabecera.writeUInt16LE(1, 0x30);
+  cabecera.writeUInt16LE(0, 0x32);
+
+  const cib = checksum(cabecera.subarray(0x2c, 0x34));
+  const cSolucion = checksum(bytesSolucion);
+  const cGrilla = checksum(bytesGrilla);
+  const cTextos = checksumTextos(textos);
+  let total = checksum(bytesSolucion, cib);
+  total = checksum(bytesGrilla, total);
+  total = checksumTextos(textos, total);
+
+  cabecera.writeUInt16LE(total, 0x00);
+  cabecera.writeUInt16LE(cib, 0x0e);
+  const mascara = 'ICHEATED';
+  [cib, cSolucion, cGrilla, cTextos].forEach((c, i) => {
+    cabecera.writeUInt8(mascara.charCodeAt(i) ^ (c & 0xff), 0x10 + i);
+    cabecera.writeUInt8(mascara.charCodeAt(i + 4) ^ (c >> 8), 0x14 + i);
+  });
+
+  const cadenas = [textos.titulo, textos.autor, textos.copyright, ...preguntas, textos.notas].map((texto) => texto + '\0').join('');
+  return Buffer.concat([cabecera, bytesSolucion, bytesGrilla, Buffer.from(cadenas, 'latin1')]);
+}
+
+/**Lee un archivo .puz, verificando sus checksums
+ * @param {Buffer} buffer - Contenido del archivo .puz
+ * @returns {Object} - {titulo, autor, copyright, notas, ancho, alto, numeros, solucion, vacio, horizontales, verticales},
+ * con la misma forma que generador.getCrucigrama(matriz)
+ */
+function leerPuz(buffer) {
+  if (buffer.length < TAMAÑO_CABECERA || buffer.toString('latin1', 0x02, 0x0e) !== MAGIC) {
+    throw new Error('El archivo no tiene el formato .puz');
+  }
+  const ancho = buffer.readUInt8(0x2c);
+  const alto = buffer.readUInt8(0x2d);
+  const cantidadPreguntas = buffer.readUInt16LE(0x2e);
+  if (buffer.readUInt16LE(0x32) !== 0) {
+    throw new Error('El archivo .puz tiene la solución encriptada, no se puede leer');
+  }
+  const celdas = ancho * alto;
+  const bytesSolucion = buffer.subarray(TAMAÑO_CABECERA, TAMAÑO_CABECERA + celdas);
+  const bytesGrilla = buffer.subarray(TAMAÑO_CABECERA + celdas, TAMAÑO_CABECERA + 2 * celdas);
+
+  let posicion = TAMAÑO_CABECERA + 2 * celdas;
+  const leerCadena = () => {
+    const fin = buffer.indexOf(0, posicion);
+    if (fin === -1) {
+      throw new Error('El archivo .puz está incompleto');
+    }
+    const texto = buffer.toString('latin1', posicion, fin);
+    posicion = fin + 1;
+    return texto;
+  };
+  const titulo = leerCadena();
+  const autor = leerCadena();
+  const copyright = leerCadena();
+  const preguntas = [];
+  for (let i = 0; i < cantidadPreguntas; i++) {
+    preguntas.push(leerCadena());
+  }
+  const notas = posicion < buffer.length ? leerCadena() : '';
+
+  const cib = checksum(buffer.subarray(0x2c, 0x34));
+  let total = checksum(bytesSolucion, cib);
+  total = checksum(bytesGrilla, total);
+  total = checksumTextos({ titulo, autor, copyright, preguntas, notas }, total);
+  if (cib !== buffer.readUInt16LE(0x0e) || total !== buffer.readUInt16LE(0x00)) {
+    throw new Error('Los checksums del archivo .puz no coinciden, el archivo está dañado');
+  }
+
+  const textoSolucion = bytesSolucion.toString('latin1');
+  const solucion = [];
+  const vacio = [];
+  const numeros = [];
+  for (let y = 0; y < alto; y++) {
+    solucion.push([]);
+    vacio.push([]);
+    numeros.push(new Array(ancho).fill(null));
+    for (let x = 0; x < ancho; x++) {
+      const letra = textoSolucion[y * ancho + x];
+      solucion[y].push(letra === CELDA_BLOQUEADA ? null : letra);
+      vacio[y].push(letra === CELDA_BLOQUEADA ? null : '');
+    }
+  }
+
+  const secuencias = numerarGrilla(solucion);
+  if (secuencias.length !== cantidadPreguntas) {
+    throw new Error(`El archivo .puz tiene ${cantidadPreguntas} preguntas, pero su grilla tiene ${secuencias.length} palabras`);
+  }
+  const horizontales = [];
+  const verticales = [];
+  secuencias.forEach((secuencia, i) => {
+    numeros[secuencia.y][secuencia.x] = secuencia.numero;
+    let palabra = '';
+    for (let j = 0; j < secuencia.largo; j++) {
+      palabra += secuencia.horizontal ? solucion[secuencia.y][secuencia.x + j] : solucion[secuencia.y + j][secuencia.x];
+    }
+    const item = { numero: secuencia.numero, palabra, largo: secuencia.largo, x: secuencia.x, y: secuencia.y, pregunta: preguntas[i] };
+    (secuencia.horizontal ? horizontales : verticales).push(item);
+  });
+
+  return { titulo, autor, copyright, notas, ancho, alto, numeros, solucion, vacio, horizontales, verticales };
+}
+
+module.exports = { escribirPuz, leerPuz };
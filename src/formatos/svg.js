@@ -0,0 +1,148 @@
+/**Dibujo de crucigramas en SVG: la grilla (en blanco o con la solución) y la hoja de preguntas */
+
+/**Opciones por defecto del dibujo */
+const OPCIONES_SVG = {
+  tamañoCelda: 32,
+  fuente: 'Arial, Helvetica, sans-serif',
+  tamañoLetra: 0.6,
+  tamañoNumero: 0.3,
+  grosorLinea: 1,
+  colorLinea: '#000000',
+  colorBloque: '#000000',
+  colorTexto: '#000000',
+  solucion: false,
+  ancho: 600,
+  tamañoTexto: 14,
+  interlineado: 1.35,
+};
+
+/**Escapa un texto para usarlo dentro de SVG o HTML */
+function escapar(texto) {
+  return ('' + texto).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**Redondea las coordenadas a 2 decimales, para que el SVG sea mas liviano */
+function r(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**Dibuja la grilla del crucigrama
+ * @param {Object} crucigrama - Crucigrama retornado por generador.getCrucigrama(matriz)
+ * @param {Object} opciones - Opciones del dibujo
+ * @param {Number} opciones.tamañoCelda - Tamaño de cada celda en pixeles (32 por defecto)
+ * @param {String} opciones.fuente - Fuente de las letras y números ('Arial, Helvetica, sans-serif' por defecto)
+ * @param {Number} opciones.tamañoLetra - Tamaño de las letras de la solución, relativo a la celda (0.6 por defecto)
+ * @param {Number} opciones.tamañoNumero - Tamaño de los números de las celdas, relativo a la celda (0.3 por defecto)
+ * @param {Number} opciones.grosorLinea - Grosor de las lineas de la grilla (1 por defecto)
+ * @param {String} opciones.colorLinea - Color de las lineas ('#000000' por defecto)
+ * @param {String} opciones.colorBloque - Color de las celdas no usadas, si es null no se dibujan ('#000000' por defecto)
+ * @param {String} opciones.colorTexto - Color de las letras y números ('#000000' por defecto)
+ * @param {Boolean} opciones.solucion - Indica si se dibujan las respuestas (false por defecto)
+ * @returns {String} - Documento SVG
+ */
+function dibujarGrilla(crucigrama, opciones = {}) {
+  const o = { ...OPCIONES_SVG, ...opciones };
+  const { ancho, alto, numeros, solucion, bloqueadas } = crucigrama;
+  const celda = o.tamañoCelda;
+  const margen = o.grosorLinea;
+  const anchoSvg = ancho * celda + 2 * margen;
+  const altoSvg = alto * celda + 2 * margen;
+
+  const elementos = [];
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      const px = margen + x * celda;
+      const py = margen + y * celda;
+      //Las celdas bloqueadas por la máscara no se dibujan, asi se ve la forma de la grilla
+      if (bloqueadas && bloqueadas[y][x]) {
+        continue;
+      }
+      if (solucion[y][x] === null) {
+        if (o.colorBloque) {
+          elementos.push(`<rect x="${px}" y="${py}" width="${celda}" height="${celda}" fill="${o.colorBloque}" stroke="${o.colorLinea}" stroke-width="${o.grosorLinea}"/>`);
+        }
+        continue;
+      }
+      elementos.push(`<rect x="${px}" y="${py}" width="${celda}" height="${celda}" fill="#ffffff" stroke="${o.colorLinea}" stroke-width="${o.grosorLinea}"/>`);
+      if (numeros[y][x] !== null) {
+        const tamaño = celda * o.tamañoNumero;
+        elementos.push(`<text x="${r(px + celda * 0.08)}" y="${r(py + tamaño)}" font-size="${r(tamaño)}" class="numero">${numeros[y][x]}</text>`);
+      }
+      if (o.solucion) {
+        const tamaño = celda * o.tamañoLetra;
+        elementos.push(`<text x="${r(px + celda / 2)}" y="${r(py + celda * 0.62 + tamaño * 0.3)}" font-size="${r(tamaño)}" text-anchor="middle" class="letra">${escapar(solucion[y][x])}</text>`);
+      }
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${anchoSvg}" height="${altoSvg}" viewBox="0 0 ${anchoSvg} ${altoSvg}">`,
+    `<style>text { font-family: ${escapar(o.fuente)}; fill: ${o.colorTexto}; } .letra { font-weight: bold; }</style>`,
+    ...elementos,
+    '</svg>',
+  ].join('\n');
+}
+
+/**Corta un texto en lineas de un largo maximo de caracteres */
+function cortarTexto(texto, largoMaximo) {
+  const lineas = [];
+  let linea = '';
+  for (let palabra of ('' + texto).split(/\s+/)) {
+    if (linea.length > 0 && linea.length + 1 + palabra.length > largoMaximo) {
+      lineas.push(linea);
+      linea = palabra;
+    } else {
+      linea = linea.length > 0 ? linea + ' ' + palabra : palabra;
+    }
+  }
+  if (linea.length > 0) {
+    lineas.push(linea);
+  }
+  return lineas;
+}
+
+/**Dibuja la hoja de preguntas del crucigrama, con la misma numeración de la grilla
+ * @param {Object} crucigrama - Crucigrama retornado por generador.getCrucigrama(matriz)
+ * @param {Object} opciones - Opciones del dibujo
+ * @param {Number} opciones.ancho - Ancho de la hoja en pixeles (600 por defecto)
+ * @param {Number} opciones.tamañoTexto - Tamaño del texto en pixeles (14 por defecto)
+ * @param {Number} opciones.interlineado - Separación entre lineas, relativa al tamaño del texto (1.35 por defecto)
+ * @param {String} opciones.fuente - Fuente del texto ('Arial, Helvetica, sans-serif' por defecto)
+ * @param {String} opciones.colorTexto - Color del texto ('#000000' por defecto)
+ * @returns {String} - Documento SVG
+ */
+function dibujarPreguntas(crucigrama, opciones = {}) {
+  const o = { ...OPCIONES_SVG, ...opciones };
+  const alturaLinea = o.tamañoTexto * o.interlineado;
+  //Aproximación del ancho promedio de un caracter, para cortar las lineas
+  const largoMaximo = Math.max(10, Math.floor(o.ancho / (o.tamañoTexto * 0.55)));
+
+  const elementos = [];
+  let y = 0;
+  for (let [titulo, lista] of [
+    ['HORIZONTALES', crucigrama.horizontales],
+    ['VERTICALES', crucigrama.verticales],
+  ]) {
+    y += alturaLinea * 1.2;
+    elementos.push(`<text x="0" y="${r(y)}" font-size="${r(o.tamañoTexto * 1.2)}" class="titulo">${titulo}</text>`);
+    y += alturaLinea * 0.4;
+    for (let pregunta of lista) {
+      const lineas = cortarTexto(`${pregunta.numero}. ${pregunta.pregunta || ''} (${pregunta.enumeracion || pregunta.largo})`, largoMaximo);
+      lineas.forEach((linea, i) => {
+        y += alturaLinea;
+        elementos.push(`<text x="${i > 0 ? r(o.tamañoTexto * 1.5) : 0}" y="${r(y)}" font-size="${o.tamañoTexto}">${escapar(linea)}</text>`);
+      });
+    }
+    y += alturaLinea * 0.5;
+  }
+  const altoSvg = Math.ceil(y + alturaLinea * 0.5);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${o.ancho}" height="${altoSvg}" viewBox="0 0 ${o.ancho} ${altoSvg}">`,
+    `<style>text { font-family: ${escapar(o.fuente)}; fill: ${o.colorTexto}; } .titulo { font-weight: bold; }</style>`,
+    ...elementos,
+    '</svg>',
+  ].join('\n');
+}
+
+module.exports = { dibujarGrilla, dibujarPreguntas, escapar, OPCIONES_SVG };
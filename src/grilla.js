@@ -0,0 +1,211 @@
+/**Representación compacta de la matriz del crucigrama, que el generador usa internamente al iterar.
+ * Las letras se guardan en un Uint16Array (el código de la letra, 0 en las celdas vacías) y cada celda guarda que palabra horizontal y que palabra vertical
+ * la ocupan (su posición en preguntasData + 1, 0 si ninguna), asi saber que palabras pasan por una celda no requiere recorrer las palabras.
+ * Los cruces, las palabras solas y el llenado se actualizan al agregar o quitar cada palabra, y clonar la grilla es copiar sus arrays.
+ * Hacia afuera el generador sigue entregando la matriz de siempre (filas de celdas [letra, vertical, horizontal], ver aMatriz).
+ */
+
+/**Propiedades de la matriz que la grilla conserva tal cual */
+const PROPIEDADES = ['borde', 'finish', 'hash', 'puntaje', 'metricas'];
+
+class Grilla {
+  /**Crea una grilla vacía
+   * @param {Number} ancho - Ancho de la grilla
+   * @param {Number} alto - Alto de la grilla
+   */
+  constructor(ancho, alto) {
+    this.ancho = ancho;
+    this.alto = alto;
+    this.letras = new Uint16Array(ancho * alto);
+    this.horizontales = new Int32Array(ancho * alto);
+    this.verticales = new Int32Array(ancho * alto);
+    this.preguntas = new Set();
+    this.preguntasData = [];
+    //Cantidad de palabras que cruza cada palabra de preguntasData
+    this.crucesPalabra = [];
+    this.cruces = 0;
+    this.solas = 0;
+    this.llenado = 0;
+  }
+
+  /**Crea la grilla de una matriz del generador
+   * @param {Array} matriz - Matriz del crucigrama (filas de celdas [letra, vertical, horizontal] y sus propiedades)
+   * @param {Number} ancho - Ancho de la matriz
+   * @param {Number} alto - Alto de la matriz
+   * @param {String} espacioVacio - Carácter de las celdas vacías
+   */
+  static desdeMatriz(matriz, ancho, alto, espacioVacio) {
+    const grilla = new Grilla(ancho, alto);
+    for (let y = 0; y < alto; y++) {
+      for (let x = 0; x < ancho; x++) {
+        const letra = matriz[y][x][0];
+        if (letra !== espacioVacio) {
+          grilla.letras[y * ancho + x] = letra.charCodeAt(0);
+          grilla.llenado++;
+        }
+      }
+    }
+    for (let pregunta of matriz.preguntasData) {
+      grilla.#ocupar(pregunta);
+    }
+    for (let propiedad of PROPIEDADES) {
+      if (matriz[propiedad] !== undefined) {
+        grilla[propiedad] = matriz[propiedad];
+      }
+    }
+    return grilla;
+  }
+
+  /**Retorna la matriz del generador que corresponde a la grilla (filas de celdas [letra, vertical, horizontal] con sus propiedades)
+   * @param {String} espacioVacio - Carácter de las celdas vacías
+   */
+  aMatriz(espacioVacio) {
+    const matriz = Array.from({ length: this.alto }).map((_, y) =>
+      Array.from({ length: this.ancho }).map((_, x) => {
+        const celda = y * this.ancho + x;
+        return [this.letras[celda] !== 0 ? String.fromCharCode(this.letras[celda]) : espacioVacio, this.verticales[celda] !== 0, this.horizontales[celda] !== 0];
+      })
+    );
+    matriz.preguntas = new Set(this.preguntas);
+    matriz.preguntasData = [...this.preguntasData];
+    matriz.ancho = this.ancho;
+    matriz.alto = this.alto;
+    for (let propiedad of PROPIEDADES) {
+      if (this[propiedad] !== undefined) {
+        matriz[propiedad] = this[propiedad];
+      }
+    }
+    matriz.cruces = this.cruces;
+    matriz.solas = this.solas;
+    matriz.llenado = this.llenado;
+    matriz.solasIdx = new Set(this.preguntasData.filter((_, i) => this.crucesPalabra[i] === 0));
+    return matriz;
+  }
+
+  /**Retorna una copia de la grilla (las preguntas de preguntasData se comparten, no se modifican) */
+  clonar() {
+    const clon = new Grilla(this.ancho, this.alto);
+    clon.letras.set(this.letras);
+    clon.horizontales.set(this.horizontales);
+    clon.verticales.set(this.verticales);
+    clon.preguntas = new Set(this.preguntas);
+    clon.preguntasData = [...this.preguntasData];
+    clon.crucesPalabra = [...this.crucesPalabra];
+    clon.cruces = this.cruces;
+    clon.solas = this.solas;
+    clon.llenado = this.llenado;
+    for (let propiedad of PROPIEDADES) {
+      if (this[propiedad] !== undefined) {
+        clon[propiedad] = this[propiedad];
+      }
+    }
+    return clon;
+  }
+
+  /**Indica si la celda x,y está vacía (las celdas fuera de la grilla se consideran vacías) */
+  vacia(x, y) {
+    return x < 0 || y < 0 || x >= this.ancho || y >= this.alto || this.letras[y * this.ancho + x] === 0;
+  }
+
+  /**Retorna la letra de la celda x,y ('' si está vacía) */
+  letra(x, y) {
+    const codigo = this.letras[y * this.ancho + x];
+    return codigo !== 0 ? String.fromCharCode(codigo) : '';
+  }
+
+  /**Retorna la posición en preguntasData de la palabra horizontal (horizontal 1) o vertical (horizontal 0) que pasa por la celda x,y, o -1 si no hay */
+  palabraEn(x, y, horizontal) {
+    return (horizontal ? this.horizontales : this.verticales)[y * this.ancho + x] - 1;
+  }
+
+  /**Agrega una palabra: escribe sus letras, marca sus celdas y actualiza los cruces y el llenado
+   * @param {Object} pregunta - {idx, palabra, horizontal, x, y, pregunta,...} como en preguntasData
+   * @param {String} letras - Letras que se escriben en la grilla (la palabra normalizada)
+   */
+  agregar(pregunta, letras) {
+    const { horizontal, x, y } = pregunta;
+    for (let i = 0; i < letras.length; i++) {
+      const celda = horizontal ? y * this.ancho + x + i : (y + i) * this.ancho + x;
+      if (this.letras[celda] === 0) {
+        this.llenado++;
+      }
+      this.letras[celda] = letras.charCodeAt(i);
+    }
+    this.#ocupar(pregunta);
+  }
+
+  /**Quita una palabra: desmarca sus celdas, vacía las que no son parte de otra palabra y actualiza los cruces y el llenado
+   * @param {Object} pregunta - Pregunta de preguntasData
+   */
+  quitar(pregunta) {
+    const k = this.preguntasData.indexOf(pregunta);
+    const { horizontal, x, y } = pregunta;
+    const propias = horizontal ? this.horizontales : this.verticales;
+    const otras = horizontal ? this.verticales : this.horizontales;
+    for (let i = 0; i < pregunta.palabra.length; i++) {
+      const celda = horizontal ? y * this.ancho + x + i : (y + i) * this.ancho + x;
+      propias[celda] = 0;
+      if (otras[celda] === 0) {
+        this.letras[celda] = 0;
+        this.llenado--;
+      } else if (this.preguntasData[otras[celda] - 1].palabra !== pregunta.palabra) {
+        this.#cruzar(otras[celda] - 1, -1);
+        this.cruces -= 2;
+      }
+    }
+    if (this.crucesPalabra[k] === 0) {
+      this.solas--;
+    }
+    this.preguntasData.splice(k, 1);
+    this.crucesPalabra.splice(k, 1);
+    if (pregunta.idx !== undefined) {
+      this.preguntas.delete(pregunta.idx);
+    }
+    //Las palabras que estaban despues de la quitada bajan una posición
+    for (let celda = 0; celda < this.letras.length; celda++) {
+      if (this.horizontales[celda] > k) {
+        this.horizontales[celda]--;
+      }
+      if (this.verticales[celda] > k) {
+        this.verticales[celda]--;
+      }
+    }
+  }
+
+  /**Agrega la palabra a preguntasData y marca sus celdas, sumando sus cruces con las palabras de la otra dirección (no escribe las letras) */
+  #ocupar(pregunta) {
+    const k = this.preguntasData.length;
+    this.preguntasData.push(pregunta);
+    this.crucesPalabra.push(0);
+    this.solas++;
+    if (pregunta.idx !== undefined) {
+      this.preguntas.add(pregunta.idx);
+    }
+    const { horizontal, x, y } = pregunta;
+    const propias = horizontal ? this.horizontales : this.verticales;
+    const otras = horizontal ? this.verticales : this.horizontales;
+    for (let i = 0; i < pregunta.palabra.length; i++) {
+      const celda = horizontal ? y * this.ancho + x + i : (y + i) * this.ancho + x;
+      propias[celda] = k + 1;
+      //Un cruce cuenta para ambas palabras (salvo si son la misma palabra)
+      if (otras[celda] !== 0 && this.preguntasData[otras[celda] - 1].palabra !== pregunta.palabra) {
+        this.#cruzar(otras[celda] - 1, 1);
+        this.#cruzar(k, 1);
+        this.cruces += 2;
+      }
+    }
+  }
+
+  /**Suma (o resta) un cruce a la palabra k, actualizando la cantidad de palabras solas */
+  #cruzar(k, cambio) {
+    if (this.crucesPalabra[k] === 0) {
+      this.solas--;
+    }
+    this.crucesPalabra[k] += cambio;
+    if (this.crucesPalabra[k] === 0) {
+      this.solas++;
+    }
+  }
+}
+
+module.exports = { Grilla };
@@ -0,0 +1,141 @@
+/**Historial de los crucigramas publicados, para no repetir respuestas ni preguntas en una serie de crucigramas (ej: uno diario).
+ * El historial es una lista de registros {fecha, semilla, respuesta, pregunta}, uno por palabra de cada crucigrama publicado,
+ * donde fecha es el dia de la publicación ('AAAA-MM-DD') y las respuestas se reconocen por su texto (no por su indice en la compilación),
+ * asi el historial sirve aunque cambien los diccionarios.
+ *
+ * El historial se guarda en un almacén, que es cualquier objeto con los metodos:
+ *   leer(): retorna el array de registros guardados (en el orden en que se agregaron)
+ *   agregar(registros): agrega registros al final
+ * Los metodos son sincronos, porque el generador consulta el historial al generar. Por defecto se usa AlmacenJson (un archivo JSON).
+ */
+
+/**Milisegundos de un dia */
+const MS_DIA = 24 * 60 * 60 * 1000;
+
+/**Almacén del historial en un archivo JSON (un array con un registro por linea). Si el archivo no existe el historial está vacío */
+class AlmacenJson {
+  /**@param {String} archivo - Ruta del archivo */
+  constructor(archivo) {
+    this.archivo = archivo;
+  }
+
+  /**Retorna los registros del archivo */
+  leer() {
+    //fs se carga al usarlo, para que el paquete se pueda usar en la web con otros almacenes
+    const fs = require('fs');
+    if (!fs.existsSync(this.archivo)) {
+      return [];
+    }
+    let registros;
+    try {
+      registros = JSON.parse(fs.readFileSync(this.archivo, 'utf8'));
+    } catch (error) {
+      throw new Error(`No se pudo leer el historial ${this.archivo}: ${error.message}`);
+    }
+    if (!Array.isArray(registros)) {
+      throw new Error(`El historial ${this.archivo} debe ser un array de registros {fecha, semilla, respuesta, pregunta}`);
+    }
+    return registros;
+  }
+
+  /**Agrega registros al archivo. Se escribe en un archivo temporal que luego se renombra, asi un error al escribir no deja el historial a medias */
+  agregar(registros) {
+    const fs = require('fs');
+    const todos = [...this.leer(), ...registros];
+    const temporal = `${this.archivo}.tmp`;
+    fs.writeFileSync(temporal, todos.length > 0 ? `[\n${todos.map((registro) => JSON.stringify(registro)).join(',\n')}\n]\n` : '[]\n');
+    fs.renameSync(temporal, this.archivo);
+  }
+}
+
+/**Almacén del historial en memoria (ej: para la web, o para pasar el historial a los hilos de las islas) */
+class AlmacenMemoria {
+  /**@param {Array} registros - Array donde se guardan los registros ([] por defecto, los registros nuevos se agregan a este array) */
+  constructor(registros = []) {
+    this.registros = registros;
+  }
+
+  /**Retorna los registros guardados */
+  leer() {
+    return this.registros;
+  }
+
+  /**Agrega registros al final */
+  agregar(registros) {
+    this.registros.push(...registros);
+  }
+}
+
+/**Retorna el almacén de la opción historial del generador: una ruta es un AlmacenJson, un array de registros un AlmacenMemoria y un objeto con leer y agregar se usa tal cual
+ * @param {String|Array|Object} historial
+ * @returns {Object} - Almacén del historial
+ */
+function crearAlmacen(historial) {
+  if (typeof historial === 'string') {
+    return new AlmacenJson(historial);
+  }
+  if (Array.isArray(historial)) {
+    return new AlmacenMemoria(historial);
+  }
+  if (historial && typeof historial.leer === 'function' && typeof historial.agregar === 'function') {
+    return historial;
+  }
+  throw new Error('La opción historial debe ser la ruta de un archivo JSON, un array de registros o un almacén con los metodos leer y agregar');
+}
+
+/**Retorna el dia de una fecha como 'AAAA-MM-DD' (en la hora local). Si ya es un texto 'AAAA-MM-DD' lo retorna tal cual
+ * @param {Date|String|Number} fecha - Fecha (hoy por defecto)
+ * @returns {String}
+ */
+function diaDe(fecha = new Date()) {
+  if (typeof fecha === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(fecha)) {
+    return fecha;
+  }
+  const date = new Date(fecha);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Fecha no valida: ${fecha}`);
+  }
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**Retorna la clave de una pregunta: sin espacios repetidos ni diferencias de mayusculas, asi la misma pregunta se reconoce aunque se escriba distinto */
+function clavePregunta(texto) {
+  return texto.normalize('NFC').trim().split(/\s+/).join(' ').toLowerCase();
+}
+
+/**Consulta el historial: retorna las respuestas y preguntas publicadas dentro de las ventanas de dias de una fecha
+ * (las publicadas antes o despues de la fecha, ej: crucigramas programados para los proximos dias).<br>
+ * Si se indica la semilla de un crucigrama que ya está en el historial, se consulta el historial como estaba al publicarlo:
+ * solo los registros agregados antes que los de ese crucigrama y con su fecha, asi el generador reproduce el mismo crucigrama (ver reproducir)
+ * @param {Array} registros - Registros del historial
+ * @param {Object} opciones
+ * @param {String} opciones.semilla - Semilla del crucigrama que se genera
+ * @param {String} opciones.fecha - Dia desde el que se cuentan las ventanas ('AAAA-MM-DD', hoy por defecto)
+ * @param {Number} opciones.diasRespuesta - Dias en que no se repite una respuesta (0 para permitirlo)
+ * @param {Number} opciones.diasPregunta - Dias en que no se repite una pregunta (0 para permitirlo)
+ * @param {Function} opciones.claveRespuesta - Retorna la clave de una respuesta (su texto como se escribe en la grilla)
+ * @returns {Object} - {registros, fecha, respuestas, preguntas}: los registros y la fecha usados, y los Set de claves de respuestas y de preguntas que no se pueden usar
+ */
+function consultarHistorial(registros, { semilla, fecha, diasRespuesta, diasPregunta, claveRespuesta }) {
+  fecha = diaDe(fecha === null ? undefined : fecha);
+  const publicado = semilla !== undefined ? registros.findIndex((registro) => registro.semilla === semilla) : -1;
+  if (publicado !== -1) {
+    fecha = registros[publicado].fecha;
+    registros = registros.slice(0, publicado);
+  }
+  const respuestas = new Set();
+  const preguntas = new Set();
+  const dia = Date.parse(fecha);
+  for (let registro of registros) {
+    const distancia = Math.abs(Date.parse(registro.fecha) - dia) / MS_DIA;
+    if (distancia < diasRespuesta && typeof registro.respuesta === 'string') {
+      respuestas.add(claveRespuesta(registro.respuesta));
+    }
+    if (distancia < diasPregunta && typeof registro.pregunta === 'string') {
+      preguntas.add(clavePregunta(registro.pregunta));
+    }
+  }
+  return { registros, fecha, respuestas, preguntas };
+}
+
+module.exports = { AlmacenJson, AlmacenMemoria, crearAlmacen, diaDe, clavePregunta, consultarHistorial };
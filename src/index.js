@@ -20,7 +20,7 @@ const ConwordsGenerator = require('./ConwordsGenerator.js');
     require('./diccionarios/gpt-informatica.json'),
     //Terminos de informática de trivia irc
     require('./diccionarios/trivia_informática.json'),
-  ]);
+  ], null, ['gpt-informatica', 'trivia_informática']);
 
   //2) Inicializa el generador con la compilación ya generada y una matriz de 36x36
   const generador = new ConwordsGenerator({ compilacion, ancho: 36, alto: 36 });
@@ -29,7 +29,7 @@ const ConwordsGenerator = require('./ConwordsGenerator.js');
   //3)Itera 60 veces
   for (let i = 0; i < 60; i++) {
     matriz = generador.iterar(matriz);
-    console.log(`Iteración:${i + 1} Cruces:${matriz[0].cruces} Solas:${matriz[0].solas} ${Math.round((100 * matriz[0].llenado) / matriz[0].ancho / matriz[0].alto)}%`);
+    console.log(`Iteración:${i + 1} Cruces:${matriz[0].cruces} Solas:${matriz[0].solas} ${Math.round(100 * generador.getPorcentajeLlenado(matriz))}%`);
   }
   //4) Se aplica el metodo completar para llenar espacios vacios
   console.log('Completando...\n');
@@ -0,0 +1,25 @@
+/**Hilo de una isla (ver islas.js): mantiene una población propia y en cada mensaje realiza una iteración */
+const { parentPort, workerData } = require('worker_threads');
+const ConwordsGenerator = require('./ConwordsGenerator.js');
+const { serializarMatriz, deserializarMatriz, reconstruirFnPuntaje } = require('./islas.js');
+
+const { compilacion, opciones, fnPuntaje, semilla, matrices: iniciales } = workerData;
+//La función de puntaje se envia como texto (verificado en islas.js), por eso no puede usar variables externas a ella
+const generador = new ConwordsGenerator({ ...opciones, islas: 1, compilacion, fnPuntaje: reconstruirFnPuntaje(fnPuntaje) });
+let matrices = generador.generar(semilla);
+if (iniciales) {
+  matrices = iniciales.map(deserializarMatriz);
+}
+
+parentPort.on('message', ({ inmigrantes, migrantes }) => {
+  if (inmigrantes.length > 0) {
+    matrices = [...(matrices.preguntas !== undefined ? [matrices] : matrices), ...inmigrantes.map(deserializarMatriz)];
+  }
+  matrices = generador.iterar(matrices);
+  parentPort.postMessage({
+    mejor: serializarMatriz(matrices[0]),
+    migrantes: matrices.slice(0, migrantes).map(serializarMatriz),
+    finalizadas: matrices.filter((matriz) => matriz.finish).length,
+    total: matrices.length,
+  });
+});
@@ -0,0 +1,199 @@
+/**Modelo de islas: cada isla es una población independiente que itera en su propio hilo (worker_threads).
+ * Cada cierta cantidad de iteraciones las islas intercambian sus mejores matrices, en anillo (la isla i recibe las de la isla i - 1).
+ * La semilla de cada isla se deriva de la semilla principal, por lo que con la misma semilla, opciones e iteraciones el resultado es el mismo.
+ */
+
+const path = require('path');
+const { Grilla } = require('./grilla.js');
+const { calcularMetricas } = require('./metricas.js');
+
+/**Archivo que ejecuta cada isla */
+const ARCHIVO_ISLA = path.join(__dirname, 'isla.js');
+
+/**Las matrices son arrays con propiedades (preguntas, preguntasData, hash...) que se pierden al enviarlas a otro hilo,
+ * por eso se envian como un objeto con las filas y las propiedades por separado */
+function serializarMatriz(matriz) {
+  const filas = [];
+  const propiedades = {};
+  for (let key of Object.keys(matriz)) {
+    if (/^\d+$/.test(key)) {
+      filas.push(matriz[key]);
+    } else if (key !== 'solasIdx') {
+      propiedades[key] = matriz[key];
+    }
+  }
+  return { filas, propiedades };
+}
+
+/**Reconstruye una matriz enviada desde otro hilo */
+function deserializarMatriz({ filas, propiedades }) {
+  const matriz = [...filas];
+  Object.assign(matriz, propiedades);
+  return matriz;
+}
+
+/**Reconstruye en una isla la función de puntaje enviada como texto (fuera del contexto donde se definió, por eso no puede usar variables externas a ella) */
+function reconstruirFnPuntaje(texto) {
+  const fnPuntaje = new Function(`return (${texto});`)();
+  if (typeof fnPuntaje !== 'function') {
+    throw new TypeError(`el texto no es una función: ${texto}`);
+  }
+  return fnPuntaje;
+}
+
+/**Retorna el texto de la función de puntaje que se envia a las islas, verificando antes en el hilo principal que las islas la pueden reconstruir.
+ * Un método (fnPuntaje(...) {...}) o una función nativa o creada con bind no se pueden reconstruir desde su texto, y una función que usa variables externas
+ * falla al llamarla: se prueba con las métricas de una grilla vacía, y si la original funciona pero la reconstruida lanza un ReferenceError se informa
+ * (la prueba no detecta las variables externas que solo se usan con otras métricas)
+ * @param {Function} fnPuntaje - Función de puntaje del generador
+ * @param {Number} ancho - Ancho del crucigrama
+ * @param {Number} alto - Alto del crucigrama
+ * @returns {String} - Texto de la función
+ */
+function textoFnPuntaje(fnPuntaje, ancho, alto) {
+  const texto = fnPuntaje.toString();
+  let reconstruida;
+  try {
+    reconstruida = reconstruirFnPuntaje(texto);
+  } catch (error) {
+    throw new Error(
+      `La función fnPuntaje no se puede enviar a las islas (${error.message}): debe ser una función o arrow function autocontenida, no un método (fnPuntaje(...) {...}) ni una función nativa o creada con bind`
+    );
+  }
+  const grilla = new Grilla(ancho, alto);
+  const parametros = [0, 0, 0, 1, { llenado: 0, cruces: 0, solas: 0, cuotas: 1, ...calcularMetricas(grilla, null) }];
+  try {
+    fnPuntaje(...parametros);
+  } catch (error) {
+    //Si la original falla con estas métricas no se puede saber si la reconstruida funciona
+    return texto;
+  }
+  try {
+    reconstruida(...parametros);
+  } catch (error) {
+    if (error instanceof ReferenceError) {
+      throw new Error(`La función fnPuntaje no se puede enviar a las islas porque usa variables externas a ella (${error.message}): debe ser autocontenida`);
+    }
+  }
+  return texto;
+}
+
+/**Semilla de una isla, derivada de la semilla principal */
+function semillaIsla(semilla, isla) {
+  return `${semilla}_ISLA${isla}`;
+}
+
+/**Evoluciona varias islas en paralelo. Tiene los mismos criterios de término y entrega los mismos pasos que generador.evolucion
+ * @param {Object} datos
+ * @param {ConwordsGenerator} datos.generador - Generador principal (de el se usa la semilla, la compilación y las opciones)
+ * @param {Object} datos.opciones - Opciones serializables del generador
+ * @param {Array} datos.matrices - Matrices iniciales de todas las islas (opcional)
+ * @param {Object} datos.criterios - {maxIteraciones, tiempoMaximoMs, llenadoObjetivo, estancamiento, signal}
+ * @returns {AsyncGenerator} - Igual que generador.evolucion, con la propiedad islas en cada paso (el resumen de cada isla)
+ */
+async function* evolucionEnIslas({ generador, opciones, matrices, criterios }) {
+  //Se carga aca para que el paquete se pueda usar en la web sin islas
+  const { Worker } = require('worker_threads');
+  const { maxIteraciones = Infinity, tiempoMaximoMs = Infinity, llenadoObjetivo, estancamiento, signal } = criterios;
+  const { islas, migracionCada, migrantes } = generador.options;
+  const fnPuntaje = textoFnPuntaje(generador.options.fnPuntaje, generador.options.ancho, generador.options.alto);
+
+  const workers = [];
+  for (let isla = 0; isla < islas; isla++) {
+    workers.push(
+      new Worker(ARCHIVO_ISLA, {
+        workerData: {
+          compilacion: generador.options.compilacion,
+          opciones,
+          fnPuntaje,
+          semilla: semillaIsla(generador.semilla, isla),
+          matrices: matrices ? matrices.map(serializarMatriz) : undefined,
+        },
+      })
+    );
+  }
+
+  /**Pide una iteración a una isla y espera su respuesta */
+  const iterarIsla = (worker, inmigrantes, migrar) =>
+    new Promise((resolve, reject) => {
+      const alTerminar = (respuesta) => {
+        worker.off('error', alFallar);
+        resolve(respuesta);
+      };
+      const alFallar = (error) => {
+        worker.off('message', alTerminar);
+        reject(error);
+      };
+      worker.once('message', alTerminar);
+      worker.once('error', alFallar);
+      worker.postMessage({ inmigrantes, migrantes: migrar ? migrantes : 0 });
+    });
+
+  const inicio = Date.now();
+  let iteracion = 0;
+  let mejorPuntaje = -Infinity;
+  let sinMejora = 0;
+  let mejores = [];
+  let inmigrantes = workers.map(() => []);
+  const terminar = (motivo) => ({ matrices: mejores.map(deserializarMatriz).sort((a, b) => b.puntaje - a.puntaje), motivo });
+  try {
+    while (true) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      //Las islas iteran al menos una vez, para tener una matriz que retornar
+      if (signal && signal.aborted && mejores.length > 0) {
+        return terminar('cancelado');
+      }
+      if (iteracion >= maxIteraciones && mejores.length > 0) {
+        return terminar('iteraciones');
+      }
+      if (Date.now() - inicio >= tiempoMaximoMs && mejores.length > 0) {
+        return terminar('tiempo');
+      }
+
+      iteracion++;
+      generador.iteraciones++;
+      const migrar = iteracion % migracionCada === 0;
+      const respuestas = await Promise.all(workers.map((worker, isla) => iterarIsla(worker, inmigrantes[isla], migrar)));
+      mejores = respuestas.map((respuesta) => respuesta.mejor);
+      inmigrantes = respuestas.map((respuesta, isla) => (migrar ? respuestas[(isla + islas - 1) % islas].migrantes : []));
+
+      const matriz = deserializarMatriz(mejores.reduce((a, b) => (b.propiedades.puntaje > a.propiedades.puntaje ? b : a)));
+      if (matriz.puntaje > mejorPuntaje) {
+        mejorPuntaje = matriz.puntaje;
+        sinMejora = 0;
+      } else {
+        sinMejora++;
+      }
+      const porcentajeLlenado = generador.getPorcentajeLlenado(matriz);
+      const finalizadas = respuestas.reduce((total, respuesta) => total + respuesta.finalizadas, 0);
+      const total = respuestas.reduce((total, respuesta) => total + respuesta.total, 0);
+      yield {
+        iteracion,
+        matriz,
+        matrices: [matriz],
+        cruces: matriz.cruces,
+        solas: matriz.solas,
+        llenado: matriz.llenado,
+        porcentajeLlenado,
+        puntaje: matriz.puntaje,
+        finalizadas,
+        tiempoMs: Date.now() - inicio,
+        islas: mejores.map(({ propiedades }) => ({ cruces: propiedades.cruces, solas: propiedades.solas, llenado: propiedades.llenado, puntaje: propiedades.puntaje })),
+      };
+
+      if (llenadoObjetivo !== undefined && porcentajeLlenado >= llenadoObjetivo) {
+        return terminar('llenado');
+      }
+      if (estancamiento !== undefined && sinMejora >= estancamiento) {
+        return terminar('estancamiento');
+      }
+      if (finalizadas === total) {
+        return terminar('finalizado');
+      }
+    }
+  } finally {
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+}
+
+module.exports = { evolucionEnIslas, serializarMatriz, deserializarMatriz, reconstruirFnPuntaje };
@@ -0,0 +1,42 @@
+/**Máscaras de la grilla: indican las celdas bloqueadas, que no se usan en el crucigrama.
+ * Sirven para crucigramas con forma (un corazón, el contorno de un país, un logo) o para dejar espacio para una imagen.
+ */
+
+/**Caracteres de las plantillas ASCII que indican una celda bloqueada (cualquier otro carácter es una celda usable) */
+const BLOQUEADAS = '# ';
+
+/**Lee una máscara
+ * @param {String|Array} mascara - Plantilla ASCII (un texto con una linea por fila, o un array de textos) donde '#' y los espacios son celdas bloqueadas
+ * y cualquier otro carácter (ej: '.') es una celda usable, o una matriz de booleanos donde true es una celda bloqueada
+ * @returns {Object} - {ancho, alto, bloqueadas}: tamaño de la grilla (el de la fila mas larga) y matriz de booleanos (true: celda bloqueada).
+ * Las filas mas cortas se completan con celdas bloqueadas
+ */
+function leerMascara(mascara) {
+  let filas = typeof mascara === 'string' ? mascara.replace(/\r/g, '').split('\n') : mascara;
+  if (!Array.isArray(filas) || filas.some((fila) => typeof fila !== 'string' && !Array.isArray(fila))) {
+    throw new Error('La máscara debe ser una plantilla de texto (una linea por fila) o una matriz de booleanos');
+  }
+  //Las plantillas escritas como template literals suelen empezar y terminar con una linea vacía
+  if (typeof mascara === 'string') {
+    filas = filas.slice(filas.findIndex((fila) => fila.trim() !== ''));
+    while (filas.length > 0 && filas[filas.length - 1].trim() === '') {
+      filas.pop();
+    }
+  }
+  const alto = filas.length;
+  const ancho = filas.reduce((ancho, fila) => Math.max(ancho, fila.length), 0);
+  const bloqueadas = filas.map((fila) =>
+    Array.from({ length: ancho }).map((_, x) => {
+      if (x >= fila.length) {
+        return true;
+      }
+      return typeof fila === 'string' ? BLOQUEADAS.includes(fila[x]) : fila[x] === true;
+    })
+  );
+  if (!bloqueadas.some((fila) => fila.includes(false))) {
+    throw new Error('La máscara no tiene celdas usables');
+  }
+  return { ancho, alto, bloqueadas };
+}
+
+module.exports = { leerMascara };
@@ -0,0 +1,92 @@
+/**Metadatos de las entradas de los diccionarios.
+ * Ademas del formato de arrays (['RESPUESTA', 'pregunta',...]), una entrada puede ser un objeto con metadatos por entrada y por pregunta:
+ * {respuesta: 'RESPUESTA', preguntas: ['pregunta', {texto: 'pregunta', dificultad: 3}], categoria: 'CINE', etiquetas: ['adulto'],...}
+ */
+
+/**Campos de metadatos que se guardan en la compilación, con el tipo de su valor */
+const CAMPOS_METADATOS = {
+  categoria: 'string',
+  dificultad: 'number',
+  idioma: 'string',
+  etiquetas: 'array',
+  fuente: 'string',
+  notas: 'string',
+};
+
+/**Retorna los metadatos de un objeto (entrada o pregunta), solo con los campos conocidos y siempre en el mismo orden */
+function extraerMetadatos(objeto, base = {}) {
+  const metadatos = {};
+  for (let campo of Object.keys(CAMPOS_METADATOS)) {
+    const valor = objeto[campo] !== undefined ? objeto[campo] : base[campo];
+    if (valor !== undefined) {
+      metadatos[campo] = campo === 'etiquetas' ? [...valor].sort() : valor;
+    }
+  }
+  return metadatos;
+}
+
+/**Retorna el prefijo de categoria de una pregunta, ej: 'CINE' en 'CINE: ¿QUIÉN DIRIGIÓ...?' (undefined si no tiene) */
+function prefijoCategoria(texto) {
+  const match = typeof texto === 'string' ? texto.match(/^([A-ZÁÉÍÓÚÜÑ][A-ZÁÉÍÓÚÜÑ ]{0,24}):\s/) : null;
+  return match !== null ? match[1] : undefined;
+}
+
+/**Lee una entrada de un diccionario, en formato array u objeto
+ * @param {Array|Object} entrada - Entrada del diccionario
+ * @param {String} diccionario - Huella del diccionario de la entrada, se agrega a los metadatos para saber de donde viene cada pregunta
+ * @returns {Object} - {linea, metadatos}: los textos de la entrada (respuesta y preguntas, como en el formato array) y los metadatos de cada texto.
+ * Si el texto no tiene categoria se usa su prefijo de categoria (ej: 'CINE: ...')
+ */
+function leerEntrada(entrada, diccionario) {
+  const esArray = Array.isArray(entrada);
+  const base = esArray ? {} : extraerMetadatos(entrada);
+  const preguntas = esArray ? entrada.slice(1) : entrada.preguntas || [];
+  const linea = [esArray ? entrada[0] : entrada.respuesta, ...preguntas.map((pregunta) => (typeof pregunta === 'object' && pregunta !== null ? pregunta.texto : pregunta))];
+  const metadatos = [base, ...preguntas.map((pregunta) => (typeof pregunta === 'object' && pregunta !== null ? extraerMetadatos(pregunta, base) : base))];
+  return {
+    linea,
+    metadatos: metadatos.map((metadatosTexto, i) => {
+      const categoria = metadatosTexto.categoria !== undefined ? metadatosTexto.categoria : prefijoCategoria(linea[i]);
+      return { ...extraerMetadatos({ categoria }, metadatosTexto), diccionario };
+    }),
+  };
+}
+
+/**Retorna los problemas de los metadatos de una entrada en formato objeto (campos con tipos no validos) */
+function problemasMetadatos(entrada) {
+  const problemas = [];
+  const objetos = [entrada, ...(Array.isArray(entrada.preguntas) ? entrada.preguntas.filter((pregunta) => typeof pregunta === 'object' && pregunta !== null) : [])];
+  for (let objeto of objetos) {
+    for (let [campo, tipo] of Object.entries(CAMPOS_METADATOS)) {
+      const valor = objeto[campo];
+      if (valor === undefined) {
+        continue;
+      }
+      const valido = tipo === 'array' ? Array.isArray(valor) && valor.every((item) => typeof item === 'string') : typeof valor === tipo;
+      if (!valido) {
+        problemas.push(`${campo} debe ser ${tipo === 'array' ? 'un array de textos' : tipo === 'number' ? 'un número' : 'un texto'}`);
+      }
+    }
+  }
+  return problemas;
+}
+
+/**Indica si unos metadatos cumplen un filtro
+ * @param {Object} metadatos - Metadatos de una pregunta
+ * @param {Object} filtro - {categorias, idiomas, dificultadMinima, dificultadMaxima, etiquetas, sinEtiquetas}.
+ * Las preguntas sin el campo que se filtra no cumplen el filtro (salvo con sinEtiquetas)
+ */
+function cumpleFiltro(metadatos, filtro) {
+  const { categorias, idiomas, dificultadMinima, dificultadMaxima, etiquetas, sinEtiquetas } = filtro;
+  const etiquetasPregunta = metadatos.etiquetas || [];
+  return (
+    (categorias === undefined || categorias.includes(metadatos.categoria)) &&
+    (idiomas === undefined || idiomas.includes(metadatos.idioma)) &&
+    (dificultadMinima === undefined || (metadatos.dificultad !== undefined && metadatos.dificultad >= dificultadMinima)) &&
+    (dificultadMaxima === undefined || (metadatos.dificultad !== undefined && metadatos.dificultad <= dificultadMaxima)) &&
+    (etiquetas === undefined || etiquetas.some((etiqueta) => etiquetasPregunta.includes(etiqueta))) &&
+    (sinEtiquetas === undefined || !sinEtiquetas.some((etiqueta) => etiquetasPregunta.includes(etiqueta)))
+  );
+}
+
+module.exports = { CAMPOS_METADATOS, leerEntrada, prefijoCategoria, problemasMetadatos, cumpleFiltro };
@@ -0,0 +1,131 @@
+/**Métricas de la grilla del crucigrama, que se pasan a fnPuntaje (ver #seleccionarSoluciones del generador).
+ * Se calculan con los arrays de la grilla (ver src/grilla.js): las letras y que palabra horizontal y vertical ocupa cada celda.
+ */
+
+/**Retorna la cantidad de componentes conexas del grafo de palabras (dos palabras están unidas si se cruzan).
+ * Un crucigrama sin palabras tiene 0 componentes, y uno en que todas las palabras están conectadas tiene 1
+ * @param {Grilla} grilla
+ * @returns {Number}
+ */
+function componentesConexas(grilla) {
+  //Union-find sobre las posiciones de las palabras en preguntasData
+  const padres = grilla.preguntasData.map((_, k) => k);
+  const raiz = (k) => {
+    while (padres[k] !== k) {
+      padres[k] = padres[padres[k]];
+      k = padres[k];
+    }
+    return k;
+  };
+  let componentes = padres.length;
+  for (let celda = 0; celda < grilla.letras.length; celda++) {
+    if (grilla.horizontales[celda] !== 0 && grilla.verticales[celda] !== 0) {
+      const a = raiz(grilla.horizontales[celda] - 1);
+      const b = raiz(grilla.verticales[celda] - 1);
+      if (a !== b) {
+        padres[a] = b;
+        componentes--;
+      }
+    }
+  }
+  return componentes;
+}
+
+/**Celdas usables y celdas del borde de la ultima grilla medida (dependen solo del tamaño y la máscara, asi no se calculan para cada solución) */
+let ultimasCeldas = null;
+
+/**Retorna las celdas usables (Uint8Array, 1 si la celda no está bloqueada) y las celdas del borde: las usables junto al limite de la grilla o a una celda bloqueada */
+function celdas(ancho, alto, bloqueadas) {
+  if (ultimasCeldas !== null && ultimasCeldas.ancho === ancho && ultimasCeldas.alto === alto && ultimasCeldas.bloqueadas === bloqueadas) {
+    return ultimasCeldas;
+  }
+  const usables = new Uint8Array(ancho * alto);
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      usables[y * ancho + x] = bloqueadas !== null && bloqueadas[y][x] ? 0 : 1;
+    }
+  }
+  const usable = (x, y) => x >= 0 && y >= 0 && x < ancho && y < alto && usables[y * ancho + x] === 1;
+  const borde = [];
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      if (usable(x, y) && (!usable(x - 1, y) || !usable(x + 1, y) || !usable(x, y - 1) || !usable(x, y + 1))) {
+        borde.push(y * ancho + x);
+      }
+    }
+  }
+  ultimasCeldas = { ancho, alto, bloqueadas, usables, borde };
+  return ultimasCeldas;
+}
+
+/**Calcula las métricas de la grilla
+ * @param {Grilla} grilla - Grilla del crucigrama
+ * @param {Array} bloqueadas - Celdas bloqueadas por la máscara (matriz de booleanos), o null si no hay máscara
+ * @returns {Object} - {componentes, largos, chequeadas, regionVaciaMayor, coberturaBorde}:
+ * componentes conexas del grafo de palabras, histograma de los largos de las palabras ({largo: cantidad}),
+ * proporción de las letras que son parte de dos palabras [0, 1], celdas de la mayor región de celdas vacías conectadas (sin contar las bloqueadas)
+ * y proporción de las celdas del borde que tienen letra [0, 1] (el borde son las celdas usables junto al limite de la grilla o a una celda bloqueada)
+ */
+function calcularMetricas(grilla, bloqueadas) {
+  const { ancho, alto } = grilla;
+  const { usables, borde } = celdas(ancho, alto, bloqueadas);
+  const largos = {};
+  for (let pregunta of grilla.preguntasData) {
+    largos[pregunta.palabra.length] = (largos[pregunta.palabra.length] || 0) + 1;
+  }
+  let dobles = 0;
+  for (let celda = 0; celda < usables.length; celda++) {
+    if (grilla.horizontales[celda] !== 0 && grilla.verticales[celda] !== 0) {
+      dobles++;
+    }
+  }
+  const bordeLleno = borde.filter((celda) => grilla.letras[celda] !== 0).length;
+
+  //Recorre cada región de celdas vacías (conectadas horizontal o verticalmente) y guarda el tamaño de la mayor
+  let regionVaciaMayor = 0;
+  const visitadas = new Uint8Array(ancho * alto);
+  const pendientes = new Int32Array(ancho * alto);
+  const visitar = (celda) => {
+    if (visitadas[celda] === 0 && usables[celda] === 1 && grilla.letras[celda] === 0) {
+      visitadas[celda] = 1;
+      return true;
+    }
+    return false;
+  };
+  for (let inicio = 0; inicio < visitadas.length; inicio++) {
+    if (!visitar(inicio)) {
+      continue;
+    }
+    let cantidad = 1;
+    let tamaño = 0;
+    pendientes[0] = inicio;
+    while (cantidad > 0) {
+      const celda = pendientes[--cantidad];
+      const x = celda % ancho;
+      tamaño++;
+      if (x > 0 && visitar(celda - 1)) {
+        pendientes[cantidad++] = celda - 1;
+      }
+      if (x < ancho - 1 && visitar(celda + 1)) {
+        pendientes[cantidad++] = celda + 1;
+      }
+      if (celda >= ancho && visitar(celda - ancho)) {
+        pendientes[cantidad++] = celda - ancho;
+      }
+      if (celda < visitadas.length - ancho && visitar(celda + ancho)) {
+        pendientes[cantidad++] = celda + ancho;
+      }
+    }
+    regionVaciaMayor = Math.max(regionVaciaMayor, tamaño);
+  }
+
+  return {
+    componentes: componentesConexas(grilla),
+    largos,
+    chequeadas: grilla.llenado > 0 ? dobles / grilla.llenado : 0,
+    regionVaciaMayor,
+    coberturaBorde: borde.length > 0 ? bordeLleno / borde.length : 0,
+  };
+}
+
+module.exports = { calcularMetricas };
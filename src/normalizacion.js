@@ -0,0 +1,107 @@
+/**Perfiles de normalización de letras: definen que letras se consideran iguales al cruzar palabras.
+ * El compilador indexa cada palabra con sus letras normalizadas y el generador escribe las letras normalizadas en la grilla,
+ * asi 'CANCIÓN' y 'CANCION' se cruzan en la O solo si el perfil pliega los acentos.
+ */
+
+/**Letras validas de las respuestas sin alfabeto en el perfil: solo las respuestas formadas por estas letras se pueden ubicar en el crucigrama */
+const PATRON_PALABRA = /[A-Z0-9ÁÉÍÓÚÜÑ]+/;
+
+/**Indica si una palabra se puede ubicar en el crucigrama con un perfil sin alfabeto (A-Z, 0-9 y ÁÉÍÓÚÜÑ, al menos 2 letras) */
+function esPalabraValida(palabra) {
+  let match = palabra.match(PATRON_PALABRA);
+  return match !== null && match[0] === palabra && palabra.length > 1;
+}
+
+/**Perfiles incluidos. Un perfil personalizado es un objeto con estos campos (los que falten se toman de su perfil base, plegado por defecto):
+ * plegarAcentos: quita los acentos y la diéresis, conservar: letras que no se pliegan, equivalencias: {letra: letra} que se aplican antes de plegar,
+ * alfabeto: letras permitidas despues de normalizar (null: A-Z, 0-9 y ÁÉÍÓÚÜÑ, como el compilador)
+ */
+const PERFILES = {
+  //Los acentos importan: Á y A son letras distintas
+  estricto: { plegarAcentos: false, conservar: '', equivalencias: {}, alfabeto: null },
+  //Los acentos y la diéresis no importan (Á y Ü se escriben A y U), la Ñ se mantiene
+  plegado: { plegarAcentos: true, conservar: 'Ñ', equivalencias: {}, alfabeto: null },
+};
+
+/**Perfil que se usa si no se indica otro */
+const PERFIL_POR_DEFECTO = 'plegado';
+
+/**Retorna el perfil completo a partir de su nombre o de un perfil personalizado (lanza un error si no es valido)
+ * @param {String|Object} perfil - Nombre de un perfil incluido (estricto, plegado) o un perfil personalizado, ej: {conservar: 'ÑÜ'}
+ * @returns {Object} - {nombre, plegarAcentos, conservar, equivalencias, alfabeto}
+ */
+function resolverPerfil(perfil = PERFIL_POR_DEFECTO) {
+  if (typeof perfil === 'string') {
+    if (!PERFILES[perfil]) {
+      throw new Error(`Perfil de normalización desconocido: ${perfil} (perfiles: ${Object.keys(PERFILES).join(', ')})`);
+    }
+    return { nombre: perfil, ...PERFILES[perfil] };
+  }
+  if (perfil === null || typeof perfil !== 'object') {
+    throw new Error('El perfil de normalización debe ser el nombre de un perfil o un objeto');
+  }
+  const base = resolverPerfil(perfil.base || PERFIL_POR_DEFECTO);
+  const resuelto = { ...base, ...perfil, nombre: perfil.nombre || 'personalizado' };
+  delete resuelto.base;
+  resuelto.conservar = resuelto.conservar.toUpperCase();
+  resuelto.equivalencias = Object.fromEntries(Object.entries(resuelto.equivalencias).map(([letra, equivalente]) => [letra.toUpperCase(), equivalente.toUpperCase()]));
+  resuelto.alfabeto = resuelto.alfabeto !== null ? resuelto.alfabeto.toUpperCase() : null;
+  //Cada letra ocupa una celda de la grilla, por eso una letra se debe normalizar siempre a una sola letra
+  for (let [letra, equivalente] of Object.entries(resuelto.equivalencias)) {
+    if (letra.length !== 1 || equivalente.length !== 1) {
+      throw new Error(`Las equivalencias del perfil de normalización deben ser de una letra a una letra (${letra}: ${equivalente})`);
+    }
+  }
+  return resuelto;
+}
+
+/**Normalizadores de cada perfil resuelto (el perfil se guarda en la compilación) */
+const normalizadores = new WeakMap();
+
+/**Retorna el normalizador de un perfil resuelto: {letra, palabra, valida}
+ * letra y palabra normalizan una letra o una palabra, valida indica si la palabra se puede ubicar en el crucigrama con este perfil
+ */
+function normalizador(perfil) {
+  if (!normalizadores.has(perfil)) {
+    const { plegarAcentos, conservar, equivalencias, alfabeto } = perfil;
+    const cache = new Map();
+    const letra = (caracter) => {
+      let normalizada = cache.get(caracter);
+      if (normalizada === undefined) {
+        normalizada = caracter.toUpperCase();
+        if (equivalencias[normalizada] !== undefined) {
+          normalizada = equivalencias[normalizada];
+        } else if (plegarAcentos && !conservar.includes(normalizada)) {
+          normalizada = normalizada.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        }
+        cache.set(caracter, normalizada);
+      }
+      return normalizada;
+    };
+    const palabra = (texto) => {
+      let normalizada = '';
+      for (let i = 0; i < texto.length; i++) {
+        normalizada += letra(texto[i]);
+      }
+      return normalizada;
+    };
+    const valida = (texto) => {
+      if (alfabeto === null) {
+        return esPalabraValida(texto);
+      }
+      if (texto.length <= 1 || texto !== texto.toUpperCase()) {
+        return false;
+      }
+      for (let i = 0; i < texto.length; i++) {
+        if (!alfabeto.includes(letra(texto[i]))) {
+          return false;
+        }
+      }
+      return true;
+    };
+    normalizadores.set(perfil, { letra, palabra, valida });
+  }
+  return normalizadores.get(perfil);
+}
+
+module.exports = { PERFILES, PERFIL_POR_DEFECTO, resolverPerfil, normalizador, esPalabraValida };
@@ -0,0 +1,169 @@
+/**Validación de diccionarios: revisa cada entrada como lo hace el compilador e informa las entradas que se descartan y por qué,
+ * ademas de advertencias sobre entradas que se compilan pero probablemente tienen errores.
+ */
+
+const { leerEntrada, problemasMetadatos } = require('./metadatos.js');
+const { resolverPerfil, normalizador, esPalabraValida } = require('./normalizacion.js');
+
+/**Motivos por los que se rechaza una entrada (el compilador la descarta o no la puede usar) */
+const RECHAZOS = {
+  formato: 'la entrada debe ser un array de textos o un objeto {respuesta, preguntas}',
+  'una-letra': 'la respuesta tiene menos de 2 letras',
+  minusculas: 'la respuesta tiene minúsculas',
+  caracteres: 'la respuesta tiene caracteres no permitidos',
+  'sin-preguntas': 'la entrada no tiene preguntas validas',
+};
+
+/**Motivos de advertencia (la entrada se compila, pero probablemente tiene un error) */
+const ADVERTENCIAS = {
+  digitos: 'la respuesta tiene dígitos',
+  espacios: 'la respuesta tiene espacios (solo se ubica en el crucigrama con la opción frasesComoRespuestas)',
+  duplicada: 'la respuesta está repetida',
+  'contiene-respuesta': 'la pregunta contiene la respuesta',
+  'pregunta-vacia': 'la pregunta está vacía o tiene menos de 2 caracteres (se descarta)',
+  codificacion: 'el texto tiene problemas de codificación',
+  metadatos: 'los metadatos no son validos',
+};
+
+/**Retorna la descripción del problema de codificación de un texto, o undefined si no tiene */
+function problemaCodificacion(texto) {
+  if (texto.includes('\ufffd')) {
+    return 'tiene el carácter de reemplazo �';
+  }
+  //UTF-8 leido como Latin-1: Ã¡ en vez de á, Â¿ en vez de ¿
+  if (/[ÃÂ][\u0080-\u00bf]/.test(texto)) {
+    return 'parece UTF-8 leído como Latin-1';
+  }
+  if (/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/.test(texto)) {
+    return 'tiene caracteres de control';
+  }
+  if (texto !== texto.normalize('NFC')) {
+    return 'tiene acentos como caracteres separados (no está normalizado en NFC)';
+  }
+  return undefined;
+}
+
+/**Quita los acentos y pasa a mayúsculas, para comparar textos */
+function plegar(texto) {
+  return texto
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase();
+}
+
+/**Motivo por el que una respuesta no se puede ubicar en el crucigrama, o undefined si es valida
+ * (valida es el criterio del compilador con el perfil de normalización, ver normalizador en src/normalizacion.js) */
+function motivoRechazo(respuesta, valida) {
+  if (respuesta.length <= 1) {
+    return 'una-letra';
+  }
+  if (!valida(respuesta)) {
+    return respuesta.toUpperCase() !== respuesta ? 'minusculas' : 'caracteres';
+  }
+  return undefined;
+}
+
+/**Valida un diccionario
+ * @param {Array} diccionario - Diccionario con la misma estructura que en compilar: [['RESPUESTA', 'pregunta', 'pregunta',...],...] o con entradas en formato objeto
+ * @param {Object} otros - Otros diccionarios con los que se buscan respuestas repetidas, {nombre: diccionario} (opcional)
+ * @param {String|Object} normalizacion - Perfil de normalización con que se compilará el diccionario (ver src/normalizacion.js, plegado por defecto):
+ * define las letras permitidas en las respuestas
+ * @returns {Object} - {entradas, validas, rechazadas, advertencias}, donde rechazadas y advertencias son arrays de
+ * {entrada, respuesta, motivo, mensaje} (entrada es la posición en el diccionario, desde 1)
+ */
+function validarDiccionario(diccionario, otros = {}, normalizacion) {
+  const { valida } = normalizador(resolverPerfil(normalizacion));
+  const rechazadas = [];
+  const advertencias = [];
+  const agregar = (lista, mensajes, entrada, respuesta, motivo, detalle) => {
+    lista.push({ entrada, respuesta, motivo, mensaje: mensajes[motivo] + (detalle ? `: ${detalle}` : '') });
+  };
+
+  //Nombres de los otros diccionarios donde está cada respuesta
+  const enOtros = new Map();
+  for (let [nombre, otro] of Object.entries(otros)) {
+    for (let linea of otro) {
+      const respuesta = Array.isArray(linea) ? linea[0] : linea !== null && typeof linea === 'object' ? linea.respuesta : undefined;
+      if (typeof respuesta === 'string') {
+        if (!enOtros.has(respuesta)) {
+          enOtros.set(respuesta, new Set());
+        }
+        enOtros.get(respuesta).add(nombre);
+      }
+    }
+  }
+
+  const vistas = new Map();
+  let validas = 0;
+  (Array.isArray(diccionario) ? diccionario : []).forEach((original, i) => {
+    const entrada = i + 1;
+    const esObjeto = typeof original === 'object' && original !== null && !Array.isArray(original);
+    if (esObjeto && !Array.isArray(original.preguntas)) {
+      agregar(rechazadas, RECHAZOS, entrada, original.respuesta, 'formato');
+      return;
+    }
+    const linea = Array.isArray(original) || esObjeto ? leerEntrada(original).linea : undefined;
+    if (linea === undefined || linea.length === 0 || linea.some((item) => typeof item !== 'string')) {
+      agregar(rechazadas, RECHAZOS, entrada, linea ? linea[0] : undefined, 'formato');
+      return;
+    }
+    const [respuesta, ...preguntas] = linea;
+    if (esObjeto) {
+      for (let problema of problemasMetadatos(original)) {
+        agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'metadatos', problema);
+      }
+    }
+
+    for (let texto of linea) {
+      const problema = problemaCodificacion(texto);
+      if (problema) {
+        agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'codificacion', `${problema} (${JSON.stringify(texto)})`);
+      }
+    }
+
+    //Las respuestas con espacios se ubican sin espacios (con la opción frasesComoRespuestas), se valida su texto sin espacios
+    const espaciada = respuesta.trim().match(/\s+/) !== null;
+    if (espaciada) {
+      agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'espacios');
+    }
+    const rechazo = motivoRechazo(espaciada ? respuesta.replace(/\s+/g, '') : respuesta, valida);
+    if (rechazo) {
+      agregar(rechazadas, RECHAZOS, entrada, respuesta, rechazo);
+      return;
+    }
+    //El compilador descarta los textos de menos de 2 caracteres
+    const preguntasValidas = preguntas.filter((pregunta) => pregunta.trim().length > 1);
+    preguntas.forEach((pregunta) => {
+      if (pregunta.trim().length <= 1) {
+        agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'pregunta-vacia', JSON.stringify(pregunta));
+      } else if (plegar(pregunta).split(/[^A-Z0-9Ñ]+/).includes(plegar(respuesta))) {
+        agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'contiene-respuesta', pregunta);
+      }
+    });
+    if (preguntasValidas.length === 0) {
+      agregar(rechazadas, RECHAZOS, entrada, respuesta, 'sin-preguntas');
+      return;
+    }
+
+    validas++;
+    if (/[0-9]/.test(respuesta)) {
+      agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'digitos');
+    }
+    //En un mismo diccionario una respuesta puede estar en varias entradas (con distintas preguntas), solo se advierte si se repite la pregunta
+    for (let pregunta of preguntasValidas) {
+      const clave = respuesta + '\n' + plegar(pregunta.trim());
+      if (vistas.has(clave)) {
+        agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'duplicada', `la pregunta ${JSON.stringify(pregunta)} también está en la entrada ${vistas.get(clave)}`);
+      } else {
+        vistas.set(clave, entrada);
+      }
+    }
+    if (enOtros.has(respuesta)) {
+      agregar(advertencias, ADVERTENCIAS, entrada, respuesta, 'duplicada', `también en ${[...enOtros.get(respuesta)].join(', ')}`);
+    }
+  });
+
+  return { entradas: Array.isArray(diccionario) ? diccionario.length : 0, validas, rechazadas, advertencias };
+}
+
+module.exports = { validarDiccionario, esPalabraValida, RECHAZOS, ADVERTENCIAS };
@@ -0,0 +1,122 @@
+/**Validación de la grilla de un crucigrama: revisa que la matriz sea un crucigrama correcto, sin confiar en las heuristicas con que se generó.
+ * Cada secuencia horizontal o vertical de dos o mas letras debe ser una de las palabras de preguntasData (si no, es una palabra sin pregunta),
+ * las palabras no se pueden superponer en la misma dirección ni repetir, y las letras y las marcas de dirección de las celdas deben coincidir con las palabras.
+ */
+
+/**Motivos por los que una grilla no es valida */
+const PROBLEMAS = {
+  fuera: 'la palabra se sale de la grilla',
+  bloqueada: 'la palabra pasa por una celda bloqueada',
+  letra: 'la letra de la celda no coincide con la palabra',
+  superpuestas: 'dos palabras en la misma dirección comparten celdas',
+  repetida: 'la respuesta está repetida',
+  marca: 'la marca de dirección de la celda no coincide con las palabras',
+  'sin-palabra': 'la celda tiene una letra que no es parte de ninguna palabra',
+  corrida: 'las letras seguidas no son una palabra del crucigrama',
+};
+
+/**Valida la grilla de un crucigrama
+ * @param {Array} matriz - Matriz del crucigrama (filas de celdas [letra, vertical, horizontal] y preguntasData)
+ * @param {Object} opciones
+ * @param {Number} opciones.ancho - Ancho de la grilla
+ * @param {Number} opciones.alto - Alto de la grilla
+ * @param {String} opciones.espacioVacio - Carácter de las celdas vacías
+ * @param {Function} opciones.normalizar - Normaliza una palabra como se escribe en la grilla
+ * @param {Function} opciones.bloqueada - Indica si la celda x,y está bloqueada por la máscara (opcional)
+ * @returns {Object} - {valida, problemas}, problemas es un array de {motivo, mensaje, x, y, horizontal, palabra} (horizontal y palabra solo si corresponden)
+ */
+function validarGrilla(matriz, { ancho, alto, espacioVacio, normalizar, bloqueada = () => false }) {
+  const problemas = [];
+  const agregar = (motivo, x, y, horizontal, palabra, detalle) => {
+    const direccion = horizontal === undefined ? '' : horizontal ? ' horizontal' : ' vertical';
+    problemas.push({
+      motivo,
+      mensaje: `${PROBLEMAS[motivo]}${palabra !== undefined ? ` (${palabra}${direccion} en x:${x} y:${y})` : ` (x:${x} y:${y}${direccion})`}${detalle ? `: ${detalle}` : ''}`,
+      x,
+      y,
+      ...(horizontal !== undefined ? { horizontal: !!horizontal } : {}),
+      ...(palabra !== undefined ? { palabra } : {}),
+    });
+  };
+
+  //Palabra que ocupa cada celda en cada dirección ([vertical, horizontal], como las marcas de las celdas)
+  const ocupadas = [Array.from({ length: alto }).map(() => new Array(ancho).fill(null)), Array.from({ length: alto }).map(() => new Array(ancho).fill(null))];
+  //Palabras por dirección, posición y largo, para reconocer las secuencias de letras
+  const ubicadas = new Set();
+  const vistas = new Map();
+  for (let pregunta of matriz.preguntasData) {
+    const { x, y } = pregunta;
+    const horizontal = pregunta.horizontal ? 1 : 0;
+    const letras = normalizar(pregunta.palabra);
+    if (x < 0 || y < 0 || (horizontal ? x + letras.length > ancho || y >= alto : y + letras.length > alto || x >= ancho)) {
+      agregar('fuera', x, y, horizontal, letras);
+      continue;
+    }
+    ubicadas.add(`${horizontal}_${x}_${y}_${letras.length}`);
+    if (vistas.has(letras)) {
+      const otra = vistas.get(letras);
+      agregar('repetida', x, y, horizontal, letras, `también en x:${otra.x} y:${otra.y}`);
+    } else {
+      vistas.set(letras, pregunta);
+    }
+    for (let i = 0; i < letras.length; i++) {
+      const cx = horizontal ? x + i : x;
+      const cy = horizontal ? y : y + i;
+      if (bloqueada(cx, cy)) {
+        agregar('bloqueada', x, y, horizontal, letras, `x:${cx} y:${cy}`);
+      }
+      if (matriz[cy][cx][0] !== letras[i]) {
+        agregar('letra', x, y, horizontal, letras, `en x:${cx} y:${cy} hay ${matriz[cy][cx][0]} en vez de ${letras[i]}`);
+      }
+      const otra = ocupadas[horizontal][cy][cx];
+      if (otra !== null) {
+        agregar('superpuestas', x, y, horizontal, letras, `con ${normalizar(otra.palabra)} en x:${cx} y:${cy}`);
+      } else {
+        ocupadas[horizontal][cy][cx] = pregunta;
+      }
+    }
+  }
+
+  for (let y = 0; y < alto; y++) {
+    for (let x = 0; x < ancho; x++) {
+      const celda = matriz[y][x];
+      for (let horizontal of [0, 1]) {
+        if (!!celda[1 + horizontal] !== (ocupadas[horizontal][y][x] !== null)) {
+          agregar('marca', x, y, horizontal, undefined, celda[1 + horizontal] ? 'está marcada pero ninguna palabra pasa por ella' : 'una palabra pasa por ella pero no está marcada');
+        }
+      }
+      if (celda[0] !== espacioVacio && ocupadas[0][y][x] === null && ocupadas[1][y][x] === null) {
+        agregar('sin-palabra', x, y, undefined, undefined, celda[0]);
+      }
+    }
+  }
+
+  //Recorre las secuencias de letras de cada fila (horizontal) y de cada columna (vertical)
+  for (let horizontal of [1, 0]) {
+    const lineas = horizontal ? alto : ancho;
+    const largo = horizontal ? ancho : alto;
+    for (let linea = 0; linea < lineas; linea++) {
+      let inicio = -1;
+      for (let i = 0; i <= largo; i++) {
+        const x = horizontal ? i : linea;
+        const y = horizontal ? linea : i;
+        const llena = i < largo && matriz[y][x][0] !== espacioVacio;
+        if (llena && inicio === -1) {
+          inicio = i;
+        } else if (!llena && inicio !== -1) {
+          const x0 = horizontal ? inicio : linea;
+          const y0 = horizontal ? linea : inicio;
+          if (i - inicio > 1 && !ubicadas.has(`${horizontal}_${x0}_${y0}_${i - inicio}`)) {
+            const texto = Array.from({ length: i - inicio }, (_, j) => (horizontal ? matriz[y0][x0 + j][0] : matriz[y0 + j][x0][0])).join('');
+            agregar('corrida', x0, y0, horizontal, texto);
+          }
+          inicio = -1;
+        }
+      }
+    }
+  }
+
+  return { valida: problemas.length === 0, problemas };
+}
+
+module.exports = { validarGrilla, PROBLEMAS };
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { generadorAleatorio } = require('../src/aleatorio.js');
+
+/**Números de math-random-seed calculados con el Hash de node: cada uno son los primeros 4 bytes del SHA-256 del anterior, empezando por el SHA-256 de la semilla */
+function numerosSha256(semilla, cantidad) {
+  const numeros = [];
+  let hash = crypto.createHash('sha256').update(semilla).digest();
+  for (let i = 0; i < cantidad; i++) {
+    numeros.push(hash.readUInt32BE(0) / 0x100000000);
+    hash = crypto.createHash('sha256').update(hash).digest();
+  }
+  return numeros;
+}
+
+/**Los primeros números de un generador */
+const numeros = (random, cantidad) => Array.from({ length: cantidad }, () => random());
+
+test('generadorAleatorio genera los mismos números que el SHA-256 encadenado de node', () => {
+  for (let semilla of ['CONWORDS', 'BENCH', '12345', 'ÑANDÚ', 'una semilla con espacios', Buffer.from([0, 1, 2, 255])]) {
+    assert.deepEqual(numeros(generadorAleatorio(semilla), 500), numerosSha256(semilla, 500), String(semilla));
+  }
+});
+
+test('generadorAleatorio con una semilla conocida siempre genera los mismos números', () => {
+  assert.deepEqual(numeros(generadorAleatorio('CONWORDS'), 3), [0.18799222027882934, 0.12213071482256055, 0.6518597071990371]);
+});
+
+test('la semilla vacía es el SHA-256 de un texto vacío (math-random-seed usaba una semilla al azar)', () => {
+  assert.deepEqual(numeros(generadorAleatorio(''), 3), [0.8894159947521985, 0.36704831616953015, 0.6656915443018079]);
+  assert.deepEqual(numeros(generadorAleatorio(''), 100), numerosSha256('', 100));
+});
+
+test('sin semilla cada generador usa una semilla al azar', () => {
+  const random = generadorAleatorio();
+  const valores = numeros(random, 100);
+  assert.ok(valores.every((valor) => valor >= 0 && valor < 1));
+  assert.notDeepEqual(valores, numeros(generadorAleatorio(), 100));
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { problemasPatron, crearPatron, llenarPatron, ranurasPatron } = require('../src/denso.js');
+const { leerMascara } = require('../src/mascara.js');
+const { generadorAleatorio } = require('../src/aleatorio.js');
+
+let compilacion;
+/**Compila el diccionario castellano una sola vez (el modo denso necesita muchas palabras cortas) */
+async function compilar() {
+  if (compilacion === undefined) {
+    compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/diccionario_castellano.json')], null, ['diccionario_castellano']);
+  }
+  return compilacion;
+}
+
+test('el RESUMEN de un crucigrama denso lo reproduce con generarDenso', async () => {
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 5, alto: 5 });
+  const matriz = generador.generarDenso({ semilla: 'D1', largoMaximo: 5 });
+  const texto = generador.toString(matriz, true);
+  const datos = ConwordsGenerator.leerResumen(texto);
+  assert.deepEqual(datos.denso, { patron: null, proporcionNegras: 0.18, largoMaximo: 5, maxPasos: 100000, intentos: 5 });
+
+  const otro = new ConwordsGenerator({ compilacion: await compilar(), ancho: 9, alto: 9 });
+  const reproducida = otro.reproducir(datos);
+  assert.deepEqual(otro.getJSON(reproducida), generador.getJSON(matriz));
+  assert.equal(otro.toString(reproducida, true), texto);
+});
+
+test('el RESUMEN de un crucigrama denso con patrón fijo lo reproduce con el mismo patrón', async () => {
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 9, alto: 9 });
+  const matriz = generador.generarDenso({ semilla: 'D2', patron: ['#....', '.....', '.....', '.....', '....#'] });
+  const otro = new ConwordsGenerator({ compilacion: await compilar(), ancho: 9, alto: 9 });
+  const reproducida = otro.reproducir(ConwordsGenerator.leerResumen(generador.toString(matriz)));
+  assert.equal(otro.options.ancho, 5);
+  assert.deepEqual(otro.getJSON(reproducida), generador.getJSON(matriz));
+});
+
+test('generar quita la linea DENSO del RESUMEN', async () => {
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 5, alto: 5 });
+  generador.generarDenso({ semilla: 'D1', largoMaximo: 5 });
+  const texto = generador.toString(generador.generar('G1'));
+  assert.doesNotMatch(texto, /DENSO:/);
+  assert.equal(ConwordsGenerator.leerResumen(texto).denso, null);
+});
+
+/**Matriz de celdas negras de una plantilla ('#' son celdas negras) */
+const negras = (patron) => leerMascara(patron).bloqueadas;
+
+test('un patrón fijo valido se llena con una grilla que pasa validar', async () => {
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 9, alto: 9 });
+  const patron = ['##...', '#....', '.....', '....#', '...##'];
+  const matriz = generador.generarDenso({ semilla: 'PATRON', patron });
+  assert.deepEqual(generador.validar(matriz), { valida: true, problemas: [] });
+  //Las celdas negras quedan vacias y las blancas con letras
+  const bloqueadas = negras(patron);
+  bloqueadas.forEach((fila, y) => fila.forEach((negra, x) => assert.equal(matriz[0][y][x][0] === generador.options.espacioVacio, negra, `x:${x} y:${y}`)));
+  assert.equal(matriz[0].preguntasData.length, ranurasPatron(bloqueadas).length);
+});
+
+test('problemasPatron rechaza los patrones sin simetría y las palabras de menos de 3 letras', async () => {
+  assert.deepEqual(problemasPatron(negras(['#....', '.....', '.....', '.....', '....#'])), []);
+  assert.deepEqual(problemasPatron(negras(['#....', '.....', '.....', '.....', '.....'])), ['la celda x:0 y:0 no es simétrica con la celda x:4 y:4']);
+  assert.deepEqual(problemasPatron(negras(['..#..', '.....', '.....', '.....', '..#..'])), [
+    'la secuencia horizontal en x:0 y:0 tiene 2 letras (el minimo es 3)',
+    'la secuencia horizontal en x:3 y:0 tiene 2 letras (el minimo es 3)',
+    'la secuencia horizontal en x:0 y:4 tiene 2 letras (el minimo es 3)',
+    'la secuencia horizontal en x:3 y:4 tiene 2 letras (el minimo es 3)',
+  ]);
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 5, alto: 5 });
+  assert.throws(() => generador.generarDenso({ patron: ['#....', '.....', '.....', '.....', '.....'] }), /El patrón no sirve para un crucigrama denso: la celda x:0 y:0 no es simétrica/);
+});
+
+test('crearPatron crea patrones validos, sin palabras mas largas que largoMaximo, y siempre el mismo para una semilla', () => {
+  const opciones = { proporcionNegras: 0.18, largoMaximo: 5 };
+  //crearPatron puede no encontrar un patrón (retorna undefined, generarDenso lo intenta con otro), los que retorna deben ser validos
+  const patrones = ['A', 'B', 'C', 'D', 'E', 'F'].map((semilla) => crearPatron(7, 7, generadorAleatorio(semilla), opciones)).filter((patron) => patron !== undefined);
+  assert.ok(patrones.length > 0);
+  for (let patron of patrones) {
+    assert.deepEqual(problemasPatron(patron), []);
+    assert.ok(ranurasPatron(patron).every((ranura) => ranura.largo >= 3 && ranura.largo <= 5));
+  }
+  assert.deepEqual(crearPatron(7, 7, generadorAleatorio('B'), opciones), crearPatron(7, 7, generadorAleatorio('B'), opciones));
+});
+
+test('llenarPatron informa agotado cuando no existe un llenado', () => {
+  const palabras = ['SOL', 'ALA', 'OSO'].map((texto, idx) => ({ idx, texto }));
+  const resultado = llenarPatron(negras(['...', '...', '...']), new Map([[3, palabras]]), { random: generadorAleatorio('LLENAR'), maxPasos: 1000 });
+  assert.equal(resultado.asignaciones, undefined);
+  assert.equal(resultado.agotado, true);
+  assert.equal(resultado.ranura.largo, 3);
+});
+
+test('llenarPatron distingue el limite de pasos de un patrón sin llenado', async () => {
+  const generador = new ConwordsGenerator({ compilacion: await compilar(), ancho: 5, alto: 5 });
+  const patron = ['#....', '.....', '.....', '.....', '....#'];
+  assert.throws(() => generador.generarDenso({ semilla: 'PASOS', patron, maxPasos: 1 }), /No se encontró un llenado del patrón en 1 pasos/);
+
+  const chica = await ConwordsGenerator.compilar([
+    [
+      ['SOL', 'ASTRO'],
+      ['ALA', 'PARTE DEL AVE'],
+      ['OSO', 'MAMIFERO'],
+    ],
+  ]);
+  const sinPalabras = new ConwordsGenerator({ compilacion: chica, ancho: 3, alto: 3 });
+  assert.throws(() => sinPalabras.generarDenso({ patron: ['...', '...', '...'] }), /No existe un llenado del patrón con las palabras de la compilación/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const informatica = require('../src/diccionarios/gpt-informatica.json');
+const trivia = require('../src/diccionarios/trivia_informática.json');
+
+/**Compila el diccionario de informática (cada prueba usa su propia compilación, porque agregar y quitar la modifican) */
+const compilar = () => ConwordsGenerator.compilar([informatica], null, ['gpt-informatica']);
+
+test('agregarDiccionario y luego quitarDiccionario deja la compilación como estaba', async () => {
+  const original = await compilar();
+  const compilacion = await compilar();
+  ConwordsGenerator.agregarDiccionario(compilacion, trivia, 'trivia_informática');
+  assert.equal(compilacion.diccionarios.length, 2);
+  assert.ok(compilacion.palabras.length > original.palabras.length);
+  assert.equal(ConwordsGenerator.quitarDiccionario(compilacion, trivia), compilacion);
+
+  for (const campo of ['version', 'diccionarios', 'normalizacion', 'letras', 'largos', 'espaciadas']) {
+    assert.deepEqual(compilacion[campo], original[campo], campo);
+  }
+  //Las palabras agregadas se mantienen (para no cambiar los indices), pero sin usos ni preguntas
+  const cantidad = original.palabras.length;
+  for (const campo of ['palabras', 'frases', 'preguntas', 'usos', 'metadatos']) {
+    assert.deepEqual(compilacion[campo].slice(0, original[campo].length), original[campo], campo);
+  }
+  assert.ok(compilacion.usos.slice(cantidad).every((usos) => usos === 0));
+  assert.ok(compilacion.preguntas.slice(cantidad).every((preguntas) => preguntas === undefined));
+});
+
+test('la compilación que agregó y quitó un diccionario genera el mismo crucigrama', async () => {
+  const generar = (compilacion) => {
+    const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10 });
+    let matriz = generador.generar('DICCIONARIOS');
+    for (let i = 0; i < 5; i++) {
+      matriz = generador.iterar(matriz);
+    }
+    return generador.getJSON(generador.completar(matriz));
+  };
+  const compilacion = await compilar();
+  ConwordsGenerator.quitarDiccionario(ConwordsGenerator.agregarDiccionario(compilacion, trivia, 'trivia_informática'), trivia);
+  assert.deepEqual(generar(compilacion), generar(await compilar()));
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const dichos = [
+  ['MAS VALE TARDE', 'DICHO: _____ QUE NUNCA'],
+  ['AL PAN PAN', 'DICHO: _____ Y AL VINO VINO'],
+  ['PERRO QUE LADRA', 'DICHO: _____ NO MUERDE'],
+  ['NO HAY MAL', 'DICHO: _____ QUE POR BIEN NO VENGA'],
+];
+
+const compilar = () => ConwordsGenerator.compilar([dichos, require('../src/diccionarios/gpt-informatica.json')], null, ['dichos', 'gpt-informatica']);
+
+/**Genera un crucigrama de 14x10 con 10 iteraciones y lo completa (retorna la mejor matriz) */
+function generar(compilacion, semilla, opciones) {
+  const generador = new ConwordsGenerator({ compilacion, ancho: 14, alto: 10, ...opciones });
+  let matriz = generador.generar(semilla);
+  for (let i = 0; i < 10; i++) {
+    matriz = generador.iterar(matriz);
+  }
+  return { generador, matriz: generador.completar(matriz)[0] };
+}
+
+test('las respuestas con espacios se compilan como frases y sin espacios como palabras', async () => {
+  const compilacion = await compilar();
+  const idx = compilacion.palabras.indexOf('MASVALETARDE');
+  assert.ok(idx >= 0);
+  assert.equal(compilacion.espaciadas[idx], 'MAS VALE TARDE');
+  assert.ok(compilacion.frases.includes('MAS VALE TARDE'));
+  assert.ok(!compilacion.palabras.includes('MAS VALE TARDE'));
+});
+
+test('las frases solo se ubican como respuestas con frasesComoRespuestas', async () => {
+  const compilacion = await compilar();
+  for (let semilla of ['A', 'B']) {
+    const { generador, matriz } = generar(compilacion, semilla);
+    assert.ok(generador.getJSON(matriz).every((pregunta) => !pregunta.palabra.includes(' ') && pregunta.enumeracion === undefined));
+  }
+
+  const { generador, matriz } = generar(compilacion, 'A', { frasesComoRespuestas: true });
+  const frases = generador.getJSON(matriz).filter((pregunta) => pregunta.enumeracion !== undefined);
+  assert.deepEqual(
+    frases.map(({ palabra, largo, enumeracion }) => ({ palabra, largo, enumeracion })),
+    [{ palabra: 'PERRO QUE LADRA', largo: 13, enumeracion: '5,3,5' }]
+  );
+  //En la grilla se escribe sin espacios
+  const { x, y, horizontal } = frases[0];
+  const letras = Array.from({ length: 13 }, (_, i) => (horizontal ? matriz[y][x + i][0] : matriz[y + i][x][0])).join('');
+  assert.equal(letras, 'PERROQUELADRA');
+  assert.equal(generador.validar(matriz).valida, true);
+});
+
+test('las salidas muestran la frase con espacios y su enumeración', async () => {
+  const compilacion = await compilar();
+  const generador = new ConwordsGenerator({ compilacion, ancho: 14, alto: 6, frasesComoRespuestas: true, requeridas: [{ palabra: 'MAS VALE TARDE', x: 0, y: 0, horizontal: true }] });
+  const matriz = generador.generar('FRASE');
+  assert.equal(matriz[0].map((celda) => celda[0]).join(''), 'MASVALETARDE··');
+
+  const texto = generador.toString(matriz, true);
+  assert.match(texto, /^1:MAS VALE TARDE \(3,4,5\): DICHO: _____ QUE NUNCA$/m);
+  const [pregunta] = generador.getJSON(matriz);
+  assert.deepEqual({ palabra: pregunta.palabra, largo: pregunta.largo, enumeracion: pregunta.enumeracion }, { palabra: 'MAS VALE TARDE', largo: 12, enumeracion: '3,4,5' });
+
+  const ipuz = generador.toIpuz(matriz);
+  assert.deepEqual(ipuz.clues.Across, [{ number: 1, clue: 'DICHO: _____ QUE NUNCA', enumeration: '3,4,5', answer: 'MAS VALE TARDE' }]);
+  const importador = new ConwordsGenerator({ compilacion, frasesComoRespuestas: true });
+  assert.deepEqual(importador.getJSON(importador.fromIpuz(ipuz)), generador.getJSON(matriz));
+});
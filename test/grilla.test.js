@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { Grilla } = require('../src/grilla.js');
+
+const pregunta = (idx, palabra, horizontal, x, y) => ({ idx, palabra, horizontal, x, y, pregunta: `Pregunta ${palabra}` });
+
+/**Grilla de 6x5 con CASA y CERO cruzadas y SOL sola:
+ * C A S A · S
+ * E · · · · O
+ * R · · · · L
+ * O · · · · ·
+ */
+function armar() {
+  const grilla = new Grilla(6, 5);
+  const palabras = [pregunta(0, 'CASA', 1, 0, 0), pregunta(1, 'CERO', 0, 0, 0), pregunta(2, 'SOL', 0, 5, 0)];
+  palabras.forEach((palabra) => grilla.agregar(palabra, palabra.palabra));
+  return { grilla, palabras };
+}
+
+test('agregar escribe las letras, marca las celdas y cuenta cruces, palabras solas y llenado', () => {
+  const { grilla, palabras } = armar();
+  assert.deepEqual(grilla.preguntasData, palabras);
+  assert.deepEqual([...grilla.preguntas], [0, 1, 2]);
+  assert.equal(grilla.letra(0, 0), 'C');
+  assert.equal(grilla.letra(5, 2), 'L');
+  assert.equal(grilla.letra(1, 1), '');
+  assert.equal(grilla.vacia(1, 1), true);
+  assert.equal(grilla.vacia(-1, 0), true);
+  assert.equal(grilla.vacia(3, 0), false);
+  //La C es de CASA (horizontal, posición 0) y de CERO (vertical, posición 1)
+  assert.equal(grilla.palabraEn(0, 0, 1), 0);
+  assert.equal(grilla.palabraEn(0, 0, 0), 1);
+  assert.equal(grilla.palabraEn(5, 1, 0), 2);
+  assert.equal(grilla.palabraEn(5, 1, 1), -1);
+  assert.deepEqual(grilla.crucesPalabra, [1, 1, 0]);
+  assert.equal(grilla.cruces, 2);
+  assert.equal(grilla.solas, 1);
+  assert.equal(grilla.llenado, 10);
+});
+
+test('quitar vacía las celdas que no comparte y baja una posición a las palabras siguientes', () => {
+  const { grilla, palabras } = armar();
+  grilla.quitar(palabras[0]);
+  assert.deepEqual(grilla.preguntasData, palabras.slice(1));
+  assert.deepEqual([...grilla.preguntas], [1, 2]);
+  //La C se mantiene porque es parte de CERO, ASA se vacía
+  assert.equal(grilla.letra(0, 0), 'C');
+  assert.equal(grilla.palabraEn(0, 0, 1), -1);
+  assert.ok([1, 2, 3].every((x) => grilla.vacia(x, 0)));
+  assert.equal(grilla.palabraEn(0, 2, 0), 0);
+  assert.equal(grilla.palabraEn(5, 0, 0), 1);
+  assert.deepEqual(grilla.crucesPalabra, [0, 0]);
+  assert.equal(grilla.cruces, 0);
+  assert.equal(grilla.solas, 2);
+  assert.equal(grilla.llenado, 7);
+
+  //Al agregarla de nuevo queda al final, con sus cruces
+  grilla.agregar(palabras[0], 'CASA');
+  assert.equal(grilla.palabraEn(2, 0, 1), 2);
+  assert.deepEqual(grilla.crucesPalabra, [1, 0, 1]);
+  assert.equal(grilla.cruces, 2);
+  assert.equal(grilla.solas, 1);
+  assert.equal(grilla.llenado, 10);
+});
+
+test('desdeMatriz y aMatriz conservan la grilla, sus conteos y sus propiedades', () => {
+  const { grilla } = armar();
+  grilla.puntaje = 12;
+  grilla.hash = 34;
+  const matriz = grilla.aMatriz('·');
+  assert.deepEqual(
+    matriz.map((fila) => fila.map((celda) => celda[0]).join('')),
+    ['CASA·S', 'E····O', 'R····L', 'O·····', '······']
+  );
+  assert.deepEqual(matriz[0][0], ['C', true, true]);
+  assert.deepEqual(matriz[0][5], ['S', true, false]);
+  assert.deepEqual(matriz[1][0], ['E', true, false]);
+  assert.deepEqual([matriz.cruces, matriz.solas, matriz.llenado, matriz.puntaje, matriz.hash], [2, 1, 10, 12, 34]);
+  assert.deepEqual(
+    [...matriz.solasIdx].map((solas) => solas.palabra),
+    ['SOL']
+  );
+
+  const copia = Grilla.desdeMatriz(matriz, 6, 5, '·');
+  for (let campo of ['letras', 'horizontales', 'verticales', 'preguntasData', 'crucesPalabra', 'cruces', 'solas', 'llenado', 'puntaje', 'hash']) {
+    assert.deepEqual(copia[campo], grilla[campo], campo);
+  }
+  assert.deepEqual(copia.aMatriz('·'), matriz);
+});
+
+test('desdeMatriz y aMatriz conservan los crucigramas del generador', async () => {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10 });
+  let matrices = generador.generar('GRILLA');
+  for (let i = 0; i < 5; i++) {
+    matrices = generador.iterar(matrices);
+  }
+  for (let matriz of generador.completar(matrices)) {
+    const grilla = Grilla.desdeMatriz(matriz, 12, 10, generador.options.espacioVacio);
+    const copia = grilla.aMatriz(generador.options.espacioVacio);
+    assert.deepEqual(
+      copia.map((fila) => fila.map((celda) => [...celda])),
+      matriz.map((fila) => fila.map((celda) => [...celda]))
+    );
+    assert.deepEqual(copia.preguntasData, matriz.preguntasData);
+    assert.deepEqual([grilla.cruces, grilla.solas, grilla.llenado], [matriz.cruces, matriz.solas, matriz.llenado]);
+  }
+});
+
+test('clonar copia la grilla sin compartir sus celdas', () => {
+  const { grilla, palabras } = armar();
+  const clon = grilla.clonar();
+  clon.quitar(palabras[2]);
+  assert.equal(clon.vacia(5, 0), true);
+  assert.equal(grilla.letra(5, 0), 'S');
+  assert.equal(grilla.preguntasData.length, 3);
+  assert.deepEqual([grilla.solas, grilla.llenado], [1, 10]);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { consultarHistorial } = require('../src/historial.js');
+
+/**Un registro publicado un dia, con una respuesta y una pregunta que lo identifican */
+const registro = (fecha, semilla, texto) => ({ fecha, semilla, respuesta: texto, pregunta: `Pregunta ${texto}` });
+
+const registros = [
+  registro('2024-01-01', 'A', 'ENERO'),
+  registro('2024-01-04', 'B', 'CUATRO'),
+  registro('2024-01-09', 'C', 'NUEVE'),
+  registro('2024-01-10', 'D', 'DIEZ'),
+  registro('2024-01-15', 'E', 'QUINCE'),
+  registro('2024-01-17', 'F', 'DIECISIETE'),
+];
+
+const consultar = (opciones) => consultarHistorial(registros, { fecha: '2024-01-10', diasRespuesta: 6, diasPregunta: 2, claveRespuesta: (respuesta) => respuesta, ...opciones });
+
+test('consultarHistorial usa los registros de menos dias que la ventana, antes o despues de la fecha', () => {
+  const { respuestas, preguntas, fecha } = consultar();
+  assert.equal(fecha, '2024-01-10');
+  //CUATRO es de 6 dias antes (justo fuera de la ventana), QUINCE de 5 despues (dentro)
+  assert.deepEqual([...respuestas].sort(), ['DIEZ', 'NUEVE', 'QUINCE']);
+  assert.deepEqual([...preguntas].sort(), ['pregunta diez', 'pregunta nueve']);
+});
+
+test('consultarHistorial amplia y desactiva cada ventana por separado', () => {
+  const amplia = consultar({ diasRespuesta: 8 });
+  assert.deepEqual([...amplia.respuestas].sort(), ['CUATRO', 'DIECISIETE', 'DIEZ', 'NUEVE', 'QUINCE']);
+  const sinPreguntas = consultar({ diasPregunta: 0 });
+  assert.equal(sinPreguntas.preguntas.size, 0);
+  assert.equal(sinPreguntas.respuestas.size, 3);
+  const sinRespuestas = consultar({ diasRespuesta: 0 });
+  assert.equal(sinRespuestas.respuestas.size, 0);
+  assert.equal(sinRespuestas.preguntas.size, 2);
+});
+
+test('consultarHistorial usa la clave de la respuesta y normaliza las preguntas', () => {
+  const { respuestas, preguntas } = consultarHistorial([{ fecha: '2024-01-10', semilla: 'A', respuesta: 'ÑANDÚ', pregunta: '  Ave   CORREDORA ' }], {
+    fecha: '2024-01-10',
+    diasRespuesta: 1,
+    diasPregunta: 1,
+    claveRespuesta: (respuesta) => respuesta.normalize('NFD').replace(/[\u0300-\u036f]/g, ''),
+  });
+  assert.deepEqual([...respuestas], ['NANDU']);
+  assert.deepEqual([...preguntas], ['ave corredora']);
+});
+
+test('consultarHistorial con la semilla de un crucigrama publicado usa el historial como estaba al publicarlo', () => {
+  const { registros: usados, fecha, respuestas } = consultar({ semilla: 'E', fecha: '2030-01-01' });
+  assert.equal(fecha, '2024-01-15');
+  assert.deepEqual(usados, registros.slice(0, 4));
+  //Desde el 15 la ventana de 6 dias solo tiene al 10 (QUINCE y DIECISIETE se agregaron despues)
+  assert.deepEqual([...respuestas], ['DIEZ']);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+/**Genera un crucigrama chico y siempre el mismo (semilla fija), con una palabra con Ñ */
+async function crucigrama() {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const requeridas = [{ palabra: 'ÑANDU', pregunta: 'AVE CORREDORA SUDAMERICANA', x: 0, y: 0, horizontal: true }];
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, requeridas });
+  let matriz = generador.generar('IPUZ');
+  for (let i = 0; i < 5; i++) {
+    matriz = generador.iterar(matriz);
+  }
+  return { compilacion, generador, matriz: generador.completar(matriz) };
+}
+
+test('toIpuz y fromIpuz mantienen las palabras, sus posiciones y sus preguntas', async () => {
+  const { compilacion, generador, matriz } = await crucigrama();
+  const importador = new ConwordsGenerator({ compilacion, ancho: 5, alto: 5 });
+  const importada = importador.fromIpuz(generador.toIpuz(matriz));
+  assert.equal(importador.options.ancho, 12);
+  assert.equal(importador.options.alto, 10);
+  assert.deepEqual(importador.getJSON(importada), generador.getJSON(matriz));
+  assert.deepEqual(importador.getCrucigrama(importada), generador.getCrucigrama(matriz));
+  assert.equal(importador.getCrucigrama(importada).solucion[0].slice(0, 5).join(''), 'ÑANDU');
+});
+
+test('fromIpuz acepta el texto del archivo', async () => {
+  const { generador, matriz } = await crucigrama();
+  const ipuz = generador.toIpuz(matriz, { titulo: 'Titulo', autor: 'Autor' });
+  const importada = generador.fromIpuz(JSON.stringify(ipuz));
+  assert.deepEqual(generador.getJSON(importada), generador.getJSON(matriz));
+  assert.deepEqual(generador.toIpuz(importada, { titulo: 'Titulo', autor: 'Autor' }).solution, ipuz.solution);
+});
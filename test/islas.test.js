@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const compilar = () => ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+
+/**Evoluciona con 2 islas unas pocas iteraciones (con una migración) */
+async function evolucionar(compilacion, opciones = {}) {
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, islas: 2, migracionCada: 2, ...opciones });
+  const matrices = await generador.evolucionar({ semilla: 'ISLAS', maxIteraciones: 4 });
+  return generador.getJSON(matrices);
+}
+
+test('las islas generan el mismo crucigrama con la misma semilla', async () => {
+  const compilacion = await compilar();
+  assert.deepEqual(await evolucionar(compilacion), await evolucionar(compilacion));
+});
+
+test('las islas rechazan antes de crear los hilos una fnPuntaje que no se puede enviar como texto', async () => {
+  const compilacion = await compilar();
+  const metodo = {
+    fnPuntaje(llenado, cruces) {
+      return llenado + cruces;
+    },
+  };
+  await assert.rejects(
+    evolucionar(compilacion, { fnPuntaje: metodo.fnPuntaje }),
+    /^Error: La función fnPuntaje no se puede enviar a las islas \(.*\): debe ser una función o arrow function autocontenida, no un método/
+  );
+  await assert.rejects(evolucionar(compilacion, { fnPuntaje: Math.max }), /^Error: La función fnPuntaje no se puede enviar a las islas/);
+
+  const factor = 2;
+  await assert.rejects(
+    evolucionar(compilacion, { fnPuntaje: (llenado, cruces) => llenado * factor + cruces }),
+    /^Error: La función fnPuntaje no se puede enviar a las islas porque usa variables externas a ella \(factor is not defined\): debe ser autocontenida$/
+  );
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { leerMascara } = require('../src/mascara.js');
+
+const corazon = `
+  .....   .....
+ ....... .......
+.................
+ ...............
+   ...........
+     .......
+       ...
+`;
+
+test('leerMascara lee plantillas de texto, arrays de textos y matrices de booleanos', () => {
+  //Las lineas vacías del inicio y del final se ignoran, y las filas cortas se completan con celdas bloqueadas
+  assert.deepEqual(leerMascara('\n.#.\n .\n'), {
+    ancho: 3,
+    alto: 2,
+    bloqueadas: [
+      [false, true, false],
+      [true, false, true],
+    ],
+  });
+  assert.deepEqual(leerMascara(['..#', 'x..']).bloqueadas, [
+    [false, false, true],
+    [false, false, false],
+  ]);
+  assert.deepEqual(leerMascara('.#\r\n#.').bloqueadas, [
+    [false, true],
+    [true, false],
+  ]);
+  assert.deepEqual(
+    leerMascara([
+      [true, false],
+      [false, 'si'],
+    ]),
+    {
+      ancho: 2,
+      alto: 2,
+      bloqueadas: [
+        [true, false],
+        [false, false],
+      ],
+    }
+  );
+  const { ancho, alto, bloqueadas } = leerMascara(corazon);
+  assert.deepEqual([ancho, alto], [17, 7]);
+  assert.equal(bloqueadas.flat().filter((bloqueada) => !bloqueada).length, 77);
+});
+
+test('leerMascara rechaza las máscaras sin celdas usables o con otro formato', () => {
+  assert.throws(() => leerMascara('##\n# '), /^Error: La máscara no tiene celdas usables$/);
+  assert.throws(() => leerMascara(42), /^Error: La máscara debe ser una plantilla de texto/);
+  assert.throws(() => leerMascara(['..', 3]), /^Error: La máscara debe ser una plantilla de texto/);
+});
+
+test('las celdas bloqueadas quedan vacías al generar, iterar con mutaciones y completar', async () => {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const generador = new ConwordsGenerator({ compilacion, mascara: corazon, tasaCruce: 0.3, tasaQuitar: 0.2, tasaMover: 0.2 });
+  assert.deepEqual([generador.options.ancho, generador.options.alto], [17, 7]);
+  const { bloqueadas } = leerMascara(corazon);
+  /**Verifica que las celdas bloqueadas de todas las matrices estén vacías y sin marcas */
+  const verificar = (matrices) => {
+    for (let matriz of matrices) {
+      bloqueadas.forEach((fila, y) =>
+        fila.forEach((bloqueada, x) => {
+          if (bloqueada) {
+            assert.deepEqual(matriz[y][x], [generador.options.espacioVacio, false, false], `x:${x} y:${y}`);
+          }
+        })
+      );
+      assert.equal(generador.validar(matriz).valida, true);
+    }
+  };
+  let matrices = generador.generar('MASCARA');
+  verificar([matrices]);
+  for (let i = 0; i < 15; i++) {
+    matrices = generador.iterar(matrices);
+    verificar(matrices);
+  }
+  matrices = generador.completar(matrices);
+  verificar(matrices);
+
+  //El llenado se mide sobre las 77 celdas usables
+  const [mejor] = matrices;
+  assert.ok(mejor.llenado > 0);
+  assert.equal(generador.getPorcentajeLlenado(mejor), mejor.llenado / 77);
+  assert.deepEqual(generador.getCrucigrama(mejor).bloqueadas, bloqueadas);
+});
+
+test('validar informa las letras en celdas bloqueadas', async () => {
+  const compilacion = await ConwordsGenerator.compilar([[['CASA', 'HOGAR']]], null, ['prueba']);
+  const libre = new ConwordsGenerator({ compilacion, ancho: 5, alto: 3, requeridas: [{ palabra: 'CASA', x: 0, y: 1, horizontal: true }] });
+  const matriz = libre.generar('BLOQUEADA');
+  const conMascara = new ConwordsGenerator({ compilacion, mascara: ['.....', '.#...', '.....'] });
+  const { problemas } = conMascara.validar(matriz);
+  assert.deepEqual(
+    problemas.map((problema) => problema.motivo),
+    ['bloqueada']
+  );
+  assert.throws(
+    () => new ConwordsGenerator({ compilacion, mascara: ['.....', '.#...', '.....'], requeridas: [{ palabra: 'CASA', x: 0, y: 1, horizontal: true }] }).generar('BLOQUEADA'),
+    /La palabra requerida CASA no cabe en x:0 y:1 horizontal/
+  );
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { Grilla } = require('../src/grilla.js');
+
+const diccionario = [
+  ['CASA', 'HOGAR'],
+  ['CERO', 'NADA'],
+  ['OSO', 'ANIMAL'],
+  ['SOL', 'ASTRO'],
+];
+
+/**Grilla de 6x5 con CASA, CERO y OSO cruzadas y SOL sola:
+ * C A S A · S
+ * E · · · · O
+ * R · · · · L
+ * O S O · · ·
+ */
+const requeridas = [
+  { palabra: 'CASA', x: 0, y: 0, horizontal: true },
+  { palabra: 'CERO', x: 0, y: 0, horizontal: false },
+  { palabra: 'OSO', x: 0, y: 3, horizontal: true },
+  { palabra: 'SOL', x: 5, y: 0, horizontal: false },
+];
+
+test('fnPuntaje recibe las métricas de la grilla', async () => {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  const llamadas = [];
+  const fnPuntaje = (...parametros) => {
+    llamadas.push(parametros);
+    return 1;
+  };
+  //Sin palabras nuevas, iterar evalua una copia de la grilla inicial
+  const generador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, requeridas, palabrasPorIteracion: 0, solucionesPorIteracion: 1, fnPuntaje });
+  const matriz = generador.iterar(generador.generar('METRICAS'));
+  const metricas = {
+    llenado: 12,
+    cruces: 4,
+    solas: 1,
+    cuotas: 1,
+    componentes: 2,
+    largos: { 3: 2, 4: 2 },
+    //2 de las 12 celdas con letras son cruces
+    chequeadas: 2 / 12,
+    regionVaciaMayor: 18,
+    //10 de las 18 celdas del borde tienen letras
+    coberturaBorde: 10 / 18,
+  };
+  assert.deepEqual(llamadas, [[12, 4, 1, 1, metricas]]);
+  assert.deepEqual(matriz[0].metricas, metricas);
+  assert.equal(matriz[0].puntaje, 1);
+});
+
+test('soloConectadas nunca entrega crucigramas desconectados, aunque se quiten, muevan y crucen palabras', async () => {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, soloConectadas: true, tasaQuitar: 0.6, tasaMover: 0.3, tasaCruce: 0.5 });
+  for (let semilla of ['A', 'B', 'C']) {
+    let matrices = generador.generar(semilla);
+    for (let i = 0; i < 10; i++) {
+      matrices = generador.iterar(matrices);
+      assert.ok(
+        matrices.every((matriz) => matriz.metricas.componentes === 1),
+        `semilla ${semilla}, iteración ${i + 1}`
+      );
+    }
+    matrices = generador.completar(matrices);
+    assert.ok(matrices.every((matriz) => matriz.metricas.componentes === 1));
+  }
+});
+
+test('soloConectadas mantiene las matrices anteriores si ninguna solución de la iteración es conexa', async () => {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  //CERO une a CASA con OSO y es la unica palabra que se puede quitar (las otras son requeridas)
+  const grilla = new Grilla(6, 5);
+  grilla.agregar({ idx: 0, palabra: 'CASA', horizontal: 1, x: 0, y: 0, pregunta: 'HOGAR', requerida: true }, 'CASA');
+  grilla.agregar({ idx: 1, palabra: 'CERO', horizontal: 0, x: 0, y: 0, pregunta: 'NADA' }, 'CERO');
+  grilla.agregar({ idx: 2, palabra: 'OSO', horizontal: 1, x: 0, y: 3, pregunta: 'ANIMAL', requerida: true }, 'OSO');
+  const iterar = (soloConectadas) => {
+    const generador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, palabrasPorIteracion: 0, solucionesPorIteracion: 3, tasaQuitar: 1, soloConectadas });
+    generador.generar('ANTERIORES');
+    return generador.iterar(grilla.aMatriz(generador.options.espacioVacio));
+  };
+  const libre = iterar(false);
+  assert.deepEqual(
+    libre[0].preguntasData.map((pregunta) => pregunta.palabra),
+    ['CASA', 'OSO']
+  );
+  assert.equal(libre[0].metricas.componentes, 2);
+  const conectada = iterar(true);
+  assert.equal(conectada.length, 1);
+  assert.deepEqual(
+    conectada[0].preguntasData.map((pregunta) => pregunta.palabra),
+    ['CASA', 'CERO', 'OSO']
+  );
+  assert.equal(conectada[0].metricas.componentes, 1);
+});
+
+test('soloConectadas rechaza importar un crucigrama desconectado', async () => {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, requeridas });
+  const ipuz = generador.toIpuz(generador.generar('DESCONECTADO'));
+
+  const importador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5 });
+  assert.equal(importador.fromIpuz(ipuz)[0].metricas.componentes, 2);
+  const conectadas = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, soloConectadas: true });
+  assert.throws(() => conectadas.fromIpuz(ipuz), /Ninguna solución es conexa \(opción soloConectadas\): la mejor tiene 2 grupos de palabras/);
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const compilar = () => ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+
+/**Palabras de una matriz con su posición */
+const ubicaciones = (matriz) => matriz.preguntasData.map(({ palabra, horizontal, x, y }) => `${palabra}_${horizontal}_${x}_${y}`);
+
+/**Matrices de 12x10 con 8 iteraciones sin operadores geneticos */
+async function poblacion(compilacion) {
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10 });
+  let matrices = generador.generar('POBLACION');
+  for (let i = 0; i < 8; i++) {
+    matrices = generador.iterar(matrices);
+  }
+  return matrices;
+}
+
+/**Itera una vez las matrices solo con el operador indicado (sin agregar palabras) y verifica que las soluciones pasen validar */
+function operar(compilacion, matrices, opciones) {
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, palabrasPorIteracion: 0, ...opciones });
+  generador.generar('OPERADOR');
+  const soluciones = generador.iterar(matrices);
+  for (let solucion of soluciones) {
+    assert.deepEqual(generador.validar(solucion), { valida: true, problemas: [] });
+  }
+  return soluciones;
+}
+
+test('tasaQuitar quita una palabra de cada solución y deja la grilla valida', async () => {
+  const compilacion = await compilar();
+  const matrices = await poblacion(compilacion);
+  //Todas las soluciones salen de la misma matriz
+  const [matriz] = matrices;
+  const soluciones = operar(compilacion, [matriz], { tasaQuitar: 1 });
+  assert.ok(soluciones.every((solucion) => solucion.preguntasData.length === matriz.preguntasData.length - 1));
+  //Las palabras que quedan estan donde estaban
+  const anteriores = new Set(ubicaciones(matriz));
+  assert.ok(soluciones.every((solucion) => ubicaciones(solucion).every((ubicacion) => anteriores.has(ubicacion))));
+});
+
+test('tasaMover mueve una palabra a otra posición y deja la grilla valida', async () => {
+  const compilacion = await compilar();
+  const matrices = await poblacion(compilacion);
+  const [matriz] = matrices;
+  const soluciones = operar(compilacion, [matriz], { tasaMover: 1 });
+  const anterior = ubicaciones(matriz).sort().join();
+  assert.ok(soluciones.some((solucion) => ubicaciones(solucion).sort().join() !== anterior));
+  //Se mueven, no se quitan: las soluciones tienen las mismas palabras
+  const palabras = matriz.preguntasData.map((pregunta) => pregunta.palabra).sort();
+  for (let solucion of soluciones) {
+    assert.deepEqual(solucion.preguntasData.map((pregunta) => pregunta.palabra).sort(), palabras);
+  }
+});
+
+test('tasaCruce combina las palabras de dos matrices y deja la grilla valida', async () => {
+  const compilacion = await compilar();
+  const matrices = await poblacion(compilacion);
+  const soluciones = operar(compilacion, matrices, { tasaCruce: 1 });
+  const anteriores = new Set(matrices.flatMap(ubicaciones));
+  const padres = new Set(matrices.map((matriz) => ubicaciones(matriz).sort().join()));
+  assert.ok(soluciones.every((solucion) => ubicaciones(solucion).every((ubicacion) => anteriores.has(ubicacion))));
+  //Al menos un hijo no es copia de una de las matrices anteriores
+  assert.ok(soluciones.some((solucion) => !padres.has(ubicaciones(solucion).sort().join())));
+});
+
+test('con todos los operadores cada iteración entrega grillas validas', async () => {
+  const compilacion = await compilar();
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, tasaCruce: 0.5, tasaQuitar: 0.5, tasaMover: 0.5 });
+  for (let semilla of ['A', 'B']) {
+    let matrices = generador.generar(semilla);
+    for (let i = 0; i < 15; i++) {
+      matrices = generador.iterar(matrices);
+      assert.ok(
+        matrices.every((matriz) => generador.validar(matriz).valida),
+        `semilla ${semilla}, iteración ${i + 1}`
+      );
+    }
+    matrices = generador.completar(matrices);
+    assert.ok(matrices.every((matriz) => generador.validar(matriz).valida));
+  }
+});
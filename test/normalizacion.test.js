@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { resolverPerfil, normalizador } = require('../src/normalizacion.js');
+
+const diccionario = [
+  ['CORO', 'CANTO'],
+  ['ÓRBITA', 'TRAYECTORIA'],
+  ['ÑANDÚ', 'AVE CORREDORA'],
+  ['PINGÜINO', 'AVE MARINA'],
+  ['FAÇADE', 'FACHADA'],
+];
+
+/**CORO y ÓRBITA se cruzan en la O, y ÑANDÚ queda sola:
+ * · · · · · · · ·
+ * C O R O · · · ·
+ * · R · · · · · ·
+ * · B · · · · · ·
+ * · I · · · · · ·
+ * · T · · · · · ·
+ * · A · Ñ A N D U
+ */
+const requeridas = [
+  { palabra: 'CORO', x: 0, y: 1, horizontal: true },
+  { palabra: 'ÓRBITA', x: 1, y: 1, horizontal: false },
+  { palabra: 'ÑANDÚ', x: 3, y: 6, horizontal: true },
+];
+
+/**Letras de las filas de la matriz */
+const filas = (matriz) => matriz.map((fila) => fila.map((celda) => celda[0]).join(''));
+
+test('los perfiles incluidos pliegan los acentos (salvo la Ñ) o los mantienen', () => {
+  const plegado = normalizador(resolverPerfil());
+  assert.equal(plegado.palabra('ÓRBITA'), 'ORBITA');
+  assert.equal(plegado.palabra('PINGÜINO'), 'PINGUINO');
+  assert.equal(plegado.palabra('ÑANDÚ'), 'ÑANDU');
+  assert.equal(plegado.palabra('FAÇADE'), 'FACADE');
+
+  const estricto = normalizador(resolverPerfil('estricto'));
+  assert.equal(estricto.palabra('ÓRBITA'), 'ÓRBITA');
+  assert.equal(estricto.palabra('ÑANDÚ'), 'ÑANDÚ');
+  assert.equal(estricto.palabra('PINGÜINO'), 'PINGÜINO');
+});
+
+test('un perfil personalizado conserva letras, aplica equivalencias y limita el alfabeto', () => {
+  const conservaDieresis = normalizador(resolverPerfil({ conservar: 'ñü' }));
+  assert.equal(conservaDieresis.palabra('PINGÜINO'), 'PINGÜINO');
+  assert.equal(conservaDieresis.palabra('ÑANDÚ'), 'ÑANDU');
+
+  const perfil = resolverPerfil({ base: 'estricto', equivalencias: { ç: 'c' }, alfabeto: 'abcdefghijklmnopqrstuvwxyzáéíóú' });
+  assert.deepEqual(perfil, {
+    nombre: 'personalizado',
+    plegarAcentos: false,
+    conservar: '',
+    equivalencias: { Ç: 'C' },
+    alfabeto: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÁÉÍÓÚ',
+  });
+  const personalizado = normalizador(perfil);
+  assert.equal(personalizado.palabra('FAÇADE'), 'FACADE');
+  assert.equal(personalizado.valida('FAÇADE'), true);
+  assert.equal(personalizado.valida('ÓRBITA'), true);
+  //La Ñ y la Ü no son parte del alfabeto
+  assert.equal(personalizado.valida('ÑANDÚ'), false);
+  assert.equal(personalizado.valida('PINGÜINO'), false);
+
+  assert.throws(() => resolverPerfil('ingles'), /^Error: Perfil de normalización desconocido: ingles \(perfiles: estricto, plegado\)$/);
+  assert.throws(() => resolverPerfil({ equivalencias: { Æ: 'AE' } }), /deben ser de una letra a una letra \(Æ: AE\)/);
+});
+
+test('la compilación indexa las letras normalizadas con su perfil', async () => {
+  const plegada = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  const idx = (compilacion, palabra) => compilacion.palabras.indexOf(palabra);
+  //La Ó de ÓRBITA se indexa como O con el perfil plegado, y como Ó con el estricto
+  assert.ok(plegada.letras['0O'].has(idx(plegada, 'ÓRBITA')));
+  assert.ok(plegada.letras['0Ñ'].has(idx(plegada, 'ÑANDÚ')));
+  assert.equal(plegada.letras['0Ó'], undefined);
+
+  const estricta = await ConwordsGenerator.compilar([diccionario], null, ['prueba'], 'estricto');
+  assert.deepEqual([...estricta.letras['0Ó']], [idx(estricta, 'ÓRBITA')]);
+  assert.equal(estricta.letras['0O'], undefined);
+  assert.deepEqual(estricta.normalizacion, { nombre: 'estricto', ...resolverPerfil('estricto') });
+
+  //Con un alfabeto sin Ñ, ÑANDÚ no se indexa (el perfil parte del plegado, asi PINGÜINO se escribe PINGUINO y si)
+  const sinEñe = await ConwordsGenerator.compilar([diccionario], null, ['prueba'], { alfabeto: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' });
+  const indexadas = new Set(sinEñe.largos.flat());
+  assert.ok(indexadas.has(idx(sinEñe, 'ÓRBITA')));
+  assert.ok(!indexadas.has(idx(sinEñe, 'ÑANDÚ')));
+  assert.ok(indexadas.has(idx(sinEñe, 'PINGÜINO')));
+});
+
+test('con el perfil plegado la Ó se cruza con la O y la grilla conserva la Ñ', async () => {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 8, alto: 7, requeridas });
+  const matriz = generador.generar('PLEGADO');
+  assert.deepEqual(filas(matriz), ['········', 'CORO····', '·R······', '·B······', '·I······', '·T······', '·A·ÑANDU']);
+  assert.deepEqual(
+    generador
+      .getJSON(matriz)
+      .map((pregunta) => pregunta.palabra)
+      .sort(),
+    ['CORO', 'ORBITA', 'ÑANDU']
+  );
+  assert.equal(generador.validar(matriz).valida, true);
+});
+
+test('con el perfil estricto la Ó no se cruza con la O y la grilla conserva los acentos', async () => {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba'], 'estricto');
+  const cruzadas = new ConwordsGenerator({ compilacion, ancho: 8, alto: 7, requeridas });
+  assert.throws(() => cruzadas.generar('ESTRICTO'), /^Error: La palabra requerida ÓRBITA no cabe en x:1 y:1 vertical/);
+
+  const generador = new ConwordsGenerator({ compilacion, ancho: 8, alto: 7, requeridas: [requeridas[2]] });
+  const matriz = generador.generar('ESTRICTO');
+  assert.equal(filas(matriz)[6], '···ÑANDÚ');
+  assert.deepEqual(
+    generador.getJSON(matriz).map((pregunta) => pregunta.palabra),
+    ['ÑANDÚ']
+  );
+});
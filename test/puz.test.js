@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+/**Genera un crucigrama chico y siempre el mismo (semilla fija), con una palabra con Ñ */
+async function crucigrama() {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const requeridas = [{ palabra: 'ÑANDU', pregunta: 'AVE CORREDORA SUDAMERICANA', x: 0, y: 0, horizontal: true }];
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, requeridas });
+  let matriz = generador.generar('PUZ');
+  for (let i = 0; i < 5; i++) {
+    matriz = generador.iterar(matriz);
+  }
+  return { generador, matriz: generador.completar(matriz) };
+}
+
+/**Las preguntas como las guarda el .puz (sin diccionario, categoria ni enumeración) */
+const comoPuz = (preguntas) => preguntas.map(({ numero, palabra, largo, x, y, pregunta }) => ({ numero, palabra, largo, x, y, pregunta }));
+
+test('toPuz y fromPuz mantienen la grilla y las preguntas', async () => {
+  const { generador, matriz } = await crucigrama();
+  const original = generador.getCrucigrama(matriz);
+  const leido = ConwordsGenerator.fromPuz(generador.toPuz(matriz, { letras: 'latin1', autor: 'Autor', notas: 'Notas' }));
+  assert.equal(leido.titulo, 'Crucigrama PUZ');
+  assert.equal(leido.autor, 'Autor');
+  assert.equal(leido.notas, 'Notas');
+  assert.deepEqual(original.solucion[0].slice(0, 5), ['Ñ', 'A', 'N', 'D', 'U']);
+  assert.equal(leido.ancho, original.ancho);
+  assert.equal(leido.alto, original.alto);
+  assert.deepEqual(leido.numeros, original.numeros);
+  assert.deepEqual(leido.solucion, original.solucion);
+  assert.deepEqual(leido.vacio, original.vacio);
+  assert.deepEqual(leido.horizontales, comoPuz(original.horizontales));
+  assert.deepEqual(leido.verticales, comoPuz(original.verticales));
+});
+
+test('toPuz translitera la solución por defecto', async () => {
+  const { generador, matriz } = await crucigrama();
+  const original = generador.getCrucigrama(matriz);
+  const leido = ConwordsGenerator.fromPuz(generador.toPuz(matriz));
+  assert.deepEqual(leido.solucion[0].slice(0, 5), ['N', 'A', 'N', 'D', 'U']);
+  const transliterar = (letra) => letra && letra.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  assert.deepEqual(
+    leido.solucion,
+    original.solucion.map((fila) => fila.map(transliterar))
+  );
+});
+
+test('fromPuz rechaza un archivo con el checksum alterado', async () => {
+  const { generador, matriz } = await crucigrama();
+  const buffer = generador.toPuz(matriz);
+  buffer[0] ^= 0xff;
+  assert.throws(() => ConwordsGenerator.fromPuz(buffer), /checksums/);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const compilar = () => ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+
+/**Genera un crucigrama con la semilla, las iteraciones y las opciones indicadas, y lo reproduce desde su RESUMEN con otro generador */
+async function reproducir(semilla, iteraciones, completar, opciones) {
+  const compilacion = await compilar();
+  const generador = new ConwordsGenerator({ compilacion, ...opciones });
+  let matriz = generador.generar(semilla);
+  for (let i = 0; i < iteraciones; i++) {
+    matriz = generador.iterar(matriz);
+  }
+  if (completar) {
+    matriz = generador.completar(matriz);
+  }
+  const texto = generador.toString(matriz, true);
+  const datos = ConwordsGenerator.leerResumen(texto);
+  assert.equal(datos.semilla, semilla);
+  assert.equal(datos.iteraciones, iteraciones);
+  assert.equal(datos.completar, completar);
+
+  const otro = new ConwordsGenerator({ compilacion, ancho: 20, alto: 20 });
+  const reproducida = otro.reproducir(datos);
+  assert.deepEqual(otro.getJSON(reproducida), generador.getJSON(matriz));
+  assert.equal(otro.toString(reproducida, true), texto);
+}
+
+test('reproducir con los datos del RESUMEN genera el mismo crucigrama', async () => {
+  await reproducir('REPRODUCIR', 8, true, { ancho: 12, alto: 10 });
+});
+
+test('reproducir con los datos del RESUMEN respeta las iteraciones sin completar y las opciones del generador', async () => {
+  await reproducir('SIN-COMPLETAR', 5, false, { ancho: 14, alto: 9, palabrasPorIteracion: 3, solucionesPorIteracion: 20, tasaCruce: 0.3, tasaMover: 0.2 });
+});
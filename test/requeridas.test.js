@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+
+const compilar = () => ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+
+/**Requeridas de las matrices: {palabra, x, y, horizontal} de las palabras marcadas con requerida */
+const requeridasDe = (matriz) => matriz.preguntasData.filter((pregunta) => pregunta.requerida).map(({ palabra, x, y, horizontal }) => ({ palabra, x, y, horizontal }));
+
+test('las palabras requeridas se ubican primero y la evolución no las quita, mueve ni superpone', async () => {
+  const compilacion = await compilar();
+  const requeridas = [
+    { palabra: 'NAVIDAD', pregunta: 'FIESTA DE DICIEMBRE', x: 0, y: 0, horizontal: true },
+    { palabra: 'ARBOL', pregunta: 'SE ADORNA EN NAVIDAD', x: 5, y: 0, horizontal: false },
+    { palabra: 'REGALO', pregunta: 'OBSEQUIO' },
+  ];
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, requeridas, tasaCruce: 0.4, tasaQuitar: 0.6, tasaMover: 0.6 });
+  let matrices = generador.generar('TEMA');
+  const ubicadas = requeridasDe(matrices);
+  assert.deepEqual(ubicadas.slice(0, 2), [
+    { palabra: 'NAVIDAD', x: 0, y: 0, horizontal: 1 },
+    { palabra: 'ARBOL', x: 5, y: 0, horizontal: 0 },
+  ]);
+  assert.equal(ubicadas[2].palabra, 'REGALO');
+  assert.deepEqual(
+    matrices.preguntasData.map((pregunta) => pregunta.pregunta),
+    ['FIESTA DE DICIEMBRE', 'SE ADORNA EN NAVIDAD', 'OBSEQUIO']
+  );
+
+  for (let i = 0; i < 10; i++) {
+    matrices = generador.iterar(matrices);
+  }
+  matrices = generador.completar(matrices);
+  for (let matriz of matrices) {
+    assert.deepEqual(requeridasDe(matriz), ubicadas);
+    assert.ok(matriz.preguntasData.length > 3);
+    //validar informa las palabras superpuestas o que no coinciden con las letras de la grilla
+    assert.equal(generador.validar(matriz).valida, true);
+  }
+});
+
+test('generar y evolucionar informan la palabra requerida que no cabe', async () => {
+  const compilacion = await compilar();
+  const generar = (requeridas) => new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, requeridas }).generar('NO-CABE');
+  assert.throws(
+    () => generar([{ palabra: 'COMPUTADOR', pregunta: 'MAQUINA' }]),
+    /^Error: La palabra requerida COMPUTADOR no cabe en la grilla de 6x5 \(se sale de la grilla, pasa por celdas bloqueadas o choca con otra palabra requerida\)$/
+  );
+  assert.throws(() => generar([{ palabra: 'RED', pregunta: 'CONEXION', x: 4, y: 0, horizontal: true }]), /^Error: La palabra requerida RED no cabe en x:4 y:0 horizontal/);
+  //Dos requeridas que chocan en la misma celda
+  assert.throws(
+    () =>
+      generar([
+        { palabra: 'RED', pregunta: 'CONEXION', x: 0, y: 0, horizontal: true },
+        { palabra: 'BIT', pregunta: 'DIGITO BINARIO', x: 1, y: 0, horizontal: false },
+      ]),
+    /^Error: La palabra requerida BIT no cabe en x:1 y:0 vertical/
+  );
+  assert.throws(() => generar([{ palabra: 'XYZW' }]), /^Error: La palabra requerida XYZW no está en la compilación, debe indicar su pregunta$/);
+  assert.throws(() => generar([{ palabra: 'A', pregunta: 'LETRA' }]), /^Error: La palabra requerida A no es valida/);
+  assert.throws(() => generar([{ palabra: 'RED', pregunta: 'CONEXION', x: 0 }]), /^Error: La palabra requerida RED debe indicar x e y, o ninguna de las dos$/);
+
+  const generador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, requeridas: [{ palabra: 'COMPUTADOR', pregunta: 'MAQUINA' }] });
+  await assert.rejects(generador.evolucionar({ semilla: 'NO-CABE', maxIteraciones: 2 }), /La palabra requerida COMPUTADOR no cabe/);
+});
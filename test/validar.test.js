@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ConwordsGenerator = require('../src/ConwordsGenerator.js');
+const { Grilla } = require('../src/grilla.js');
+
+const diccionario = [
+  ['CASA', 'HOGAR'],
+  ['CERO', 'NADA'],
+  ['OSO', 'ANIMAL'],
+  ['SOL', 'ASTRO'],
+  ['SAL', 'CONDIMENTO'],
+];
+
+/**Crea el generador (6x5) y una matriz hecha a mano con las palabras [palabra, horizontal, x, y] */
+async function armar(palabras, opciones = {}) {
+  const compilacion = await ConwordsGenerator.compilar([diccionario], null, ['prueba']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 6, alto: 5, ...opciones });
+  const grilla = new Grilla(6, 5);
+  for (let [palabra, horizontal, x, y] of palabras) {
+    grilla.agregar({ idx: compilacion.palabras.indexOf(palabra), palabra, horizontal, x, y, pregunta: palabra }, palabra);
+  }
+  return { generador, matriz: grilla.aMatriz(generador.options.espacioVacio) };
+}
+
+/**CASA y OSO unidas por CERO:
+ * C A S A · ·
+ * E · · · · ·
+ * R · · · · ·
+ * O S O · · ·
+ */
+const valida = [
+  ['CASA', 1, 0, 0],
+  ['CERO', 0, 0, 0],
+  ['OSO', 1, 0, 3],
+];
+
+/**Retorna los motivos de los problemas de la matriz, sin repetir */
+const motivos = (generador, matriz) => [...new Set(generador.validar(matriz).problemas.map((problema) => problema.motivo))];
+
+test('validar acepta un crucigrama correcto', async () => {
+  const { generador, matriz } = await armar(valida);
+  assert.deepEqual(generador.validar(matriz), { valida: true, problemas: [] });
+  assert.deepEqual(generador.validar([matriz]), { valida: true, problemas: [] });
+});
+
+test('validar informa las letras seguidas que no son una palabra (corrida)', async () => {
+  //SOL bajo CASA forma las secuencias verticales CS, AO y SL
+  const { generador, matriz } = await armar([
+    ['CASA', 1, 0, 0],
+    ['SOL', 1, 0, 1],
+  ]);
+  const { valida, problemas } = generador.validar(matriz);
+  assert.equal(valida, false);
+  assert.deepEqual(
+    problemas.map(({ motivo, palabra, x, y, horizontal }) => ({ motivo, palabra, x, y, horizontal })),
+    [
+      { motivo: 'corrida', palabra: 'CS', x: 0, y: 0, horizontal: false },
+      { motivo: 'corrida', palabra: 'AO', x: 1, y: 0, horizontal: false },
+      { motivo: 'corrida', palabra: 'SL', x: 2, y: 0, horizontal: false },
+    ]
+  );
+  assert.equal(problemas[0].mensaje, 'las letras seguidas no son una palabra del crucigrama (CS vertical en x:0 y:0)');
+});
+
+test('validar informa las palabras superpuestas en la misma dirección', async () => {
+  //SAL empieza en la S de CASA: la fila queda CASAL
+  const { generador, matriz } = await armar([
+    ['CASA', 1, 0, 0],
+    ['SAL', 1, 2, 0],
+  ]);
+  const superpuestas = generador.validar(matriz).problemas.filter((problema) => problema.motivo === 'superpuestas');
+  assert.deepEqual(
+    superpuestas.map((problema) => problema.mensaje),
+    [
+      'dos palabras en la misma dirección comparten celdas (SAL horizontal en x:2 y:0): con CASA en x:2 y:0',
+      'dos palabras en la misma dirección comparten celdas (SAL horizontal en x:2 y:0): con CASA en x:3 y:0',
+    ]
+  );
+  assert.deepEqual(motivos(generador, matriz), ['superpuestas', 'corrida']);
+});
+
+test('validar informa las respuestas repetidas', async () => {
+  const { generador, matriz } = await armar([...valida, ['CASA', 0, 5, 1]]);
+  const { problemas } = generador.validar(matriz);
+  assert.equal(problemas.length, 1);
+  assert.equal(problemas[0].motivo, 'repetida');
+  assert.equal(problemas[0].mensaje, 'la respuesta está repetida (CASA vertical en x:5 y:1): también en x:0 y:0');
+});
+
+test('validar informa las marcas de dirección que no coinciden con las palabras', async () => {
+  const { generador, matriz } = await armar(valida);
+  //La A de CASA marcada como parte de una palabra vertical, y la S de OSO sin su marca horizontal
+  matriz[0][1][1] = true;
+  matriz[3][1][2] = false;
+  const { problemas } = generador.validar(matriz);
+  assert.deepEqual(
+    problemas.map((problema) => problema.mensaje),
+    [
+      'la marca de dirección de la celda no coincide con las palabras (x:1 y:0 vertical): está marcada pero ninguna palabra pasa por ella',
+      'la marca de dirección de la celda no coincide con las palabras (x:1 y:3 horizontal): una palabra pasa por ella pero no está marcada',
+    ]
+  );
+});
+
+test('validar informa las letras que no son parte de ninguna palabra y las que no coinciden', async () => {
+  const { generador, matriz } = await armar(valida);
+  matriz[4][5][0] = 'Z';
+  matriz[2][0][0] = 'X';
+  const { problemas } = generador.validar(matriz);
+  assert.deepEqual(
+    problemas.map(({ motivo, mensaje }) => ({ motivo, mensaje })),
+    [
+      { motivo: 'letra', mensaje: 'la letra de la celda no coincide con la palabra (CERO vertical en x:0 y:0): en x:0 y:2 hay X en vez de R' },
+      { motivo: 'sin-palabra', mensaje: 'la celda tiene una letra que no es parte de ninguna palabra (x:5 y:4): Z' },
+    ]
+  );
+});
+
+test('validacionEstricta lanza un error si ninguna solución es valida', async () => {
+  const palabras = [
+    ['CASA', 1, 0, 0],
+    ['SOL', 1, 0, 1],
+  ];
+  //Sin palabras nuevas las soluciones de la iteración son copias de la matriz, que no es valida
+  const opciones = { palabrasPorIteracion: 0, solucionesPorIteracion: 3 };
+  const { generador, matriz } = await armar(palabras, opciones);
+  generador.generar('ESTRICTA');
+  assert.equal(generador.iterar(matriz).length, 1);
+
+  const estricta = await armar(palabras, { ...opciones, validacionEstricta: true });
+  estricta.generador.generar('ESTRICTA');
+  assert.throws(
+    () => estricta.generador.iterar(estricta.matriz),
+    /^Error: Ninguna solución pasó la validación estricta: las letras seguidas no son una palabra del crucigrama \(CS vertical en x:0 y:0\) \(y 2 problemas mas\)$/
+  );
+});
+
+test('con validacionEstricta los crucigramas generados pasan validar', async () => {
+  const compilacion = await ConwordsGenerator.compilar([require('../src/diccionarios/gpt-informatica.json')], null, ['gpt-informatica']);
+  const generador = new ConwordsGenerator({ compilacion, ancho: 12, alto: 10, validacionEstricta: true, tasaCruce: 0.5, tasaMover: 0.3 });
+  let matrices = generador.generar('VALIDA');
+  for (let i = 0; i < 5; i++) {
+    matrices = generador.iterar(matrices);
+  }
+  matrices = generador.completar(matrices);
+  assert.ok(matrices.every((matriz) => generador.validar(matriz).valida));
+});